@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+// bin/cli.js
+import "dotenv/config";
+import { runCli } from "../lib/index.js";
+
+process.exitCode = await runCli(process.argv.slice(2));
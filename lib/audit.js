@@ -0,0 +1,236 @@
+// lib/audit.js
+import fs from "fs";
+import { allocateBarcodes, getExistingBarcodes, readRegistry, registryOptionsFromEnv } from "./barcode-registry.js";
+import { barcodeFormatFor } from "./barcode-rules.js";
+import { shopifyConfigFromEnv } from "./config.js";
+import { toCsv } from "./csv.js";
+import { recordDryRun, writeDryRunReport } from "./dry-run.js";
+import { normalizeFilters, productSearchQuery, resolveCollectionFilter } from "./filters.js";
+import { SYMBOLOGIES, detectSymbology, gtinCheckDigit } from "./gtin.js";
+import { mapWithConcurrency } from "./pool.js";
+import { createShopifyClient } from "./shopify.js";
+import { createSnapshot } from "./snapshot.js";
+import { batchConcurrencyFromEnv } from "./updater.js";
+
+const REPORT_COLUMNS = [
+  "product_id",
+  "product_title",
+  "variant_id",
+  "variant_title",
+  "sku",
+  "barcode",
+  "issue",
+  "detail",
+  "new_barcode",
+];
+
+// Problema de formato de un código (null si es un EAN-13, UPC-A, EAN-8 o GTIN-14 correcto)
+function formatIssue(barcode) {
+  if (!/^\d+$/.test(barcode)) return { issue: "non-numeric", detail: "Contiene caracteres que no son dígitos" };
+
+  const symbology = detectSymbology(barcode);
+  if (!symbology) {
+    const lengths = Object.values(SYMBOLOGIES).map((s) => `${s.label} ${s.length}`).join(", ");
+    return { issue: "wrong-length", detail: `${barcode.length} dígitos (${lengths})` };
+  }
+
+  const last = barcode.length - 1;
+  const expected = gtinCheckDigit(barcode.slice(0, last));
+  if (expected !== parseInt(barcode[last], 10)) {
+    return {
+      issue: "invalid-check-digit",
+      detail: `${SYMBOLOGIES[symbology].label}: dígito de control ${barcode[last]}, debería ser ${expected}`,
+    };
+  }
+  return null;
+}
+
+/**
+ * 🔍 Revisar los códigos de barras de todas las variantes
+ *
+ * Un problema por variante: sin código, no numérico, longitud que no es de
+ * ninguna simbología GTIN, dígito de control inválido o duplicado en otra variante. En un duplicado
+ * se queda con el código la variante a la que lo asignó el registro (o, si no
+ * es nuestro, la del producto más antiguo) y el resto se marca.
+ */
+export function findBarcodeIssues(products, { registry = { issued: {} } } = {}) {
+  const issues = [];
+  const byCode = new Map();
+
+  const row = (product, variant, problem) => ({
+    product_id: product.id,
+    product_title: product.title,
+    variant_id: variant.id,
+    variant_title: variant.title,
+    sku: variant.sku || "",
+    barcode: variant.barcode || "",
+    ...problem,
+  });
+
+  for (const product of [...products].sort((a, b) => a.id - b.id)) {
+    for (const variant of product.variants || []) {
+      const barcode = variant.barcode || "";
+      if (!barcode) {
+        issues.push(row(product, variant, { issue: "missing", detail: "Sin código de barras" }));
+        continue;
+      }
+
+      const problem = formatIssue(barcode);
+      if (problem) {
+        issues.push(row(product, variant, problem));
+        continue;
+      }
+
+      if (!byCode.has(barcode)) byCode.set(barcode, []);
+      byCode.get(barcode).push({ product, variant });
+    }
+  }
+
+  for (const [barcode, uses] of byCode) {
+    if (uses.length < 2) continue;
+
+    const owner = registry.issued[barcode]?.variantId;
+    const keeper = uses.find(({ variant }) => String(variant.id) === owner) || uses[0];
+    for (const use of uses) {
+      if (use === keeper) continue;
+      issues.push(
+        row(use.product, use.variant, {
+          issue: "duplicate",
+          detail: `También en la variante ${keeper.variant.id} de "${keeper.product.title}"`,
+        })
+      );
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * 💾 Guardar el informe de auditoría en CSV o JSON
+ */
+export function writeAuditReport(issues, { format = "csv", output } = {}) {
+  const file = output || `barcode-audit-${new Date().toISOString().replace(/[:.]/g, "-")}.${format}`;
+  const content =
+    format === "json"
+      ? JSON.stringify({ generatedAt: new Date().toISOString(), issues }, null, 2)
+      : toCsv(issues, REPORT_COLUMNS);
+  fs.writeFileSync(file, content);
+  console.log(`📝 Informe guardado en ${file}`);
+  return file;
+}
+
+// Reasignar los códigos rotos, producto a producto; anota new_barcode en cada problema
+async function repairBarcodes(client, products, broken, { query, registryOptions, dryRun, concurrency, confirm }) {
+  const byProduct = new Map();
+  for (const issue of broken) {
+    if (!byProduct.has(issue.product_id)) byProduct.set(issue.product_id, []);
+    byProduct.get(issue.product_id).push(issue);
+  }
+
+  if (dryRun) console.log("🧪 Modo DRY RUN: no se enviará ningún cambio a Shopify");
+  if (!dryRun && confirm && !(await confirm({ shop: client.shop, count: byProduct.size }))) {
+    console.log("🚫 Reparación cancelada, no se ha modificado nada");
+    return { repairCancelled: true };
+  }
+
+  const existing = getExistingBarcodes(products);
+  const isTaken = query ? (code) => client.barcodeExists(code) : undefined;
+  const snapshot = dryRun ? null : createSnapshot({ label: "repair" });
+  const dryRunChanges = [];
+  let repaired = 0;
+  let failed = 0;
+
+  await mapWithConcurrency([...byProduct], concurrency, async ([productId, productIssues]) => {
+    const product = products.find((p) => p.id === productId);
+    try {
+      const assigned = await allocateBarcodes(
+        productId,
+        productIssues.map((i) => i.variant_id),
+        { ...registryOptions, ...barcodeFormatFor(product), existing, isTaken, source: "repair", commit: !dryRun }
+      );
+
+      const variants = [...assigned].map(([id, barcode]) => ({ id, barcode }));
+      for (const issue of productIssues) issue.new_barcode = assigned.get(issue.variant_id) || "";
+
+      if (dryRun) {
+        recordDryRun(dryRunChanges, product, { product: { id: productId, variants } });
+        return;
+      }
+
+      snapshot.record(product, { variants });
+      await client.updateProduct({ id: productId, variants });
+      console.log(`🔧 Reparado: ${product.title} (${variants.length} códigos)`);
+      repaired += variants.length;
+    } catch (err) {
+      console.error(`❌ Error al reparar ${product.title}:`, err.message);
+      for (const issue of productIssues) issue.new_barcode = "";
+      failed++;
+    }
+  });
+
+  if (dryRun) {
+    writeDryRunReport(dryRunChanges);
+    console.log(`🔧 Códigos que se reasignarían: ${broken.length}`);
+    return { repairable: broken.length };
+  }
+
+  console.log(`🔧 Códigos reasignados: ${repaired}`);
+  if (failed > 0) console.log(`❌ Productos con error: ${failed}`);
+  if (snapshot.count > 0) console.log(`📸 Estado anterior guardado: rollback --snapshot ${snapshot.id}`);
+  return { repaired, failed, snapshot: snapshot.count > 0 ? snapshot.id : null };
+}
+
+/**
+ * 🩺 Auditar (y opcionalmente reparar) los códigos de barras de la tienda
+ *
+ * Con `repair` reasigna desde el registro los códigos rotos (no los que
+ * faltan: eso es cosa de `barcodes`), guardando antes una instantánea.
+ * Devuelve el resumen; el detalle va al informe CSV/JSON.
+ */
+export async function auditBarcodes({
+  filters = {},
+  format = "csv",
+  output,
+  repair = false,
+  dryRun = false,
+  concurrency = batchConcurrencyFromEnv(),
+  confirm = null,
+} = {}) {
+  let client;
+  try {
+    client = createShopifyClient(shopifyConfigFromEnv());
+  } catch (err) {
+    console.error(err.message);
+    return { error: err.message };
+  }
+
+  try {
+    const query = productSearchQuery(await resolveCollectionFilter(client, normalizeFilters(filters)));
+    if (query) console.log(`🔎 Filtro: ${query} (los duplicados solo se buscan entre estos productos)`);
+
+    const products = await client.fetchAllProducts({ query });
+    const variantCount = products.reduce((n, p) => n + (p.variants?.length || 0), 0);
+    console.log(`📦 Productos: ${products.length} (${variantCount} variantes)`);
+
+    const registryOptions = registryOptionsFromEnv();
+    const issues = findBarcodeIssues(products, { registry: await readRegistry(registryOptions) });
+
+    const counts = {};
+    for (const { issue } of issues) counts[issue] = (counts[issue] || 0) + 1;
+    console.log(`🩺 Problemas encontrados: ${issues.length}`);
+    for (const [issue, count] of Object.entries(counts)) console.log(`   ${issue}: ${count}`);
+
+    const summary = { products: products.length, variants: variantCount, issues: issues.length, counts };
+
+    const broken = issues.filter((i) => i.issue !== "missing");
+    if (repair && broken.length > 0) {
+      Object.assign(summary, await repairBarcodes(client, products, broken, { query, registryOptions, dryRun, concurrency, confirm }));
+    }
+
+    summary.report = writeAuditReport(issues, { format, output });
+    return summary;
+  } catch (e) {
+    console.error("❌ Error general:", e.message || e);
+    return { error: e.message || String(e) };
+  }
+}
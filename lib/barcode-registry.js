@@ -0,0 +1,197 @@
+// lib/barcode-registry.js
+import fs from "fs";
+import path from "path";
+import { buildGtin, gtinCapacity, gtinCheckDigit, isValidGtin, validatePrefix } from "./gtin.js";
+import { currentEnv } from "./shops.js";
+import { createStore, runningOnNetlify, storeBackendFromEnv, withFileLock } from "./store.js";
+
+// Nombre del almacén y clave del registro cuando no es un archivo local
+const REGISTRY_STORE = "barcode-registry";
+const REGISTRY_KEY = "registry";
+
+/**
+ * ⚙️ Configuración del registro a partir del entorno
+ *
+ * BARCODE_PREFIX: prefijo de empresa GS1 (6-11 dígitos) o rango interno 200-299 (3 dígitos)
+ * BARCODE_REGISTRY_PATH: archivo JSON donde se guardan los códigos emitidos
+ *
+ * Con STATE_STORE distinto de file el registro va en ese almacén (p. ej.
+ * Netlify Blobs), uno para todas las tiendas: así el webhook y el script
+ * masivo comparten el contador y nunca emiten el mismo código.
+ */
+export function registryOptionsFromEnv(env = currentEnv()) {
+  const backend = storeBackendFromEnv(env);
+  return {
+    prefix: env.BARCODE_PREFIX || "200",
+    registryPath: env.BARCODE_REGISTRY_PATH || path.resolve("data", "barcode-registry.json"),
+    store: backend === "file" ? null : createStore(REGISTRY_STORE, { backend, shared: true }),
+  };
+}
+
+/**
+ * 🔢 Dígito de control EAN-13 para los 12 primeros dígitos
+ */
+export function ean13CheckDigit(base) {
+  return gtinCheckDigit(String(base).slice(0, 12));
+}
+
+/**
+ * ✅ Validar un EAN-13 completo (longitud, dígitos y control)
+ */
+export function isValidEan13(code) {
+  return isValidGtin(code, "ean-13");
+}
+
+const withDefaults = (data) => ({ counters: {}, issued: {}, variants: {}, ...data });
+
+function loadRegistry(registryPath) {
+  if (!fs.existsSync(registryPath)) return withDefaults();
+  return withDefaults(JSON.parse(fs.readFileSync(registryPath, "utf8")));
+}
+
+function saveRegistry(registryPath, registry) {
+  // Escritura atómica: archivo temporal + rename
+  const tmp = `${registryPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(registry, null, 2));
+  fs.renameSync(tmp, registryPath);
+}
+
+/**
+ * 🔒 Ejecutar `fn` con el registro cargado y bloqueado entre procesos
+ *
+ * En un almacén la escritura es condicional: si otro proceso emitió códigos
+ * entretanto, `fn` se repite con el registro nuevo. Un archivo local dentro de
+ * Netlify sería distinto en cada instancia, así que no se admite.
+ */
+async function withRegistry({ registryPath, store }, fn, { commit = true } = {}) {
+  if (store) {
+    if (!commit) return fn(withDefaults(await store.get(REGISTRY_KEY)));
+
+    let result;
+    await store.update(REGISTRY_KEY, async (current) => {
+      const registry = withDefaults(current);
+      result = await fn(registry);
+      return registry;
+    });
+    return result;
+  }
+
+  if (runningOnNetlify()) {
+    throw new Error("El registro de códigos no puede ser un archivo local en Netlify: usa STATE_STORE=netlify-blobs");
+  }
+  return withFileLock(registryPath, async () => {
+    const registry = loadRegistry(registryPath);
+    const result = await fn(registry);
+    if (commit) saveRegistry(registryPath, registry);
+    return result;
+  });
+}
+
+/**
+ * 🏷️ Asignar códigos secuenciales a las variantes de un producto
+ *
+ * - `symbology` elige EAN-13 (por defecto), UPC-A, EAN-8 o GTIN-14 (lib/gtin.js)
+ * - Nunca emite un código ya registrado, presente en `existing` o para el que `isTaken` devuelva true
+ * - Una variante que ya recibió código conserva el mismo (reintentos idempotentes)
+ * - Con `commit: false` calcula la asignación sin persistirla (dry run)
+ *
+ * Devuelve un Map variantId → código.
+ */
+export async function allocateBarcodes(productId, variantIds, options = {}) {
+  const {
+    prefix = "200",
+    symbology = "ean-13",
+    registryPath,
+    store,
+    existing = new Set(),
+    isTaken = null,
+    source = "batch",
+    commit = true,
+  } = options;
+
+  validatePrefix(prefix, symbology);
+  const capacity = gtinCapacity(prefix, symbology);
+  // Los contadores EAN-13 conservan la clave de siempre (solo el prefijo)
+  const counter = symbology === "ean-13" ? prefix : `${symbology}:${prefix}`;
+
+  const assigned = await withRegistry(
+    registryPath || store ? { registryPath, store } : registryOptionsFromEnv(),
+    async (registry) => {
+      // Copia por intento: con un almacén `fn` puede repetirse
+      const taken = new Set(existing);
+      const assigned = new Map();
+      let next = registry.counters[counter] || 0;
+
+      for (const variantId of variantIds) {
+        const previous = registry.variants[variantId];
+        if (previous && !taken.has(previous)) {
+          assigned.set(variantId, previous);
+          taken.add(previous);
+          continue;
+        }
+
+        let code;
+        for (;;) {
+          if (next >= capacity) {
+            throw new Error(`Se agotó el rango de códigos ${symbology} para el prefijo ${prefix}`);
+          }
+          code = buildGtin(prefix, next, symbology);
+          next++;
+
+          if (registry.issued[code] || taken.has(code)) continue;
+          if (isTaken && (await isTaken(code))) {
+            // Ocupado fuera del registro: se anota para no volver a probarlo
+            registry.issued[code] = { external: true, seenAt: new Date().toISOString() };
+            continue;
+          }
+          break;
+        }
+
+        registry.issued[code] = {
+          productId: String(productId),
+          variantId: String(variantId),
+          symbology,
+          source,
+          issuedAt: new Date().toISOString(),
+        };
+        registry.variants[variantId] = code;
+        taken.add(code);
+        assigned.set(variantId, code);
+      }
+
+      registry.counters[counter] = next;
+      return assigned;
+    },
+    { commit }
+  );
+
+  for (const code of assigned.values()) existing.add(code);
+  return assigned;
+}
+
+/**
+ * 📖 Leer el registro sin bloquearlo (solo consulta)
+ *
+ * Acepta la ruta del archivo o las opciones de `registryOptionsFromEnv`.
+ */
+export async function readRegistry(location = registryOptionsFromEnv()) {
+  const { registryPath, store } = typeof location === "string" ? { registryPath: location } : location;
+  return store ? withDefaults(await store.get(REGISTRY_KEY)) : loadRegistry(registryPath);
+}
+
+/**
+ * 📋 Obtener todos los códigos de barras existentes
+ */
+export function getExistingBarcodes(products) {
+  const existingBarcodes = new Set();
+
+  products.forEach((product) => {
+    product.variants?.forEach((variant) => {
+      if (variant.barcode) {
+        existingBarcodes.add(variant.barcode);
+      }
+    });
+  });
+
+  return existingBarcodes;
+}
@@ -0,0 +1,76 @@
+// lib/barcode-rules.js
+import fs from "fs";
+import path from "path";
+import { DEFAULT_PREFIXES, SYMBOLOGIES, validatePrefix } from "./gtin.js";
+import { matchedBy, normalizeMatch } from "./rules.js";
+import { currentEnv } from "./shops.js";
+
+const cache = new Map();
+
+/**
+ * ⚙️ Ruta de las reglas de simbología (BARCODE_RULES_PATH o config/barcode-rules.json)
+ */
+export function barcodeRulesPathFromEnv(env = currentEnv()) {
+  return env.BARCODE_RULES_PATH || path.resolve("config", "barcode-rules.json");
+}
+
+function checkSymbology(symbology, where) {
+  if (!SYMBOLOGIES[symbology]) {
+    throw new Error(`Simbología desconocida "${symbology}" en ${where} (usa ${Object.keys(SYMBOLOGIES).join(", ")})`);
+  }
+  return symbology;
+}
+
+/**
+ * 📋 Cargar las reglas tag/tipo/vendor → simbología (y prefijo) de los códigos
+ *
+ * Sin archivo todo es EAN-13 con BARCODE_PREFIX, como hasta ahora. El prefijo
+ * EAN-13 sale de BARCODE_PREFIX salvo que el archivo lo fije en `prefixes`.
+ */
+export function loadBarcodeRules(rulesPath = barcodeRulesPathFromEnv(), env = currentEnv()) {
+  // Cada tienda puede tener su BARCODE_PREFIX con el mismo archivo de reglas
+  const key = `${rulesPath}|${env.BARCODE_PREFIX || ""}`;
+  if (cache.has(key)) return cache.get(key);
+
+  const file = fs.existsSync(rulesPath) ? JSON.parse(fs.readFileSync(rulesPath, "utf8")) : {};
+  const prefixes = { ...DEFAULT_PREFIXES, "ean-13": env.BARCODE_PREFIX || DEFAULT_PREFIXES["ean-13"], ...file.prefixes };
+  for (const [symbology, prefix] of Object.entries(prefixes)) {
+    checkSymbology(symbology, `prefixes (${rulesPath})`);
+    validatePrefix(prefix, symbology);
+  }
+
+  const rules = (file.rules || []).map((rule, index) => {
+    const name = rule.name || `rule-${index + 1}`;
+    const symbology = checkSymbology(rule.symbology, `la regla "${name}" (${rulesPath})`);
+    if (rule.prefix) validatePrefix(rule.prefix, symbology);
+
+    return {
+      name,
+      priority: Number(rule.priority) || 0,
+      order: index,
+      match: normalizeMatch(rule.match, name, rulesPath),
+      symbology,
+      prefix: rule.prefix || null,
+    };
+  });
+  rules.sort((a, b) => b.priority - a.priority || a.order - b.order);
+
+  const config = {
+    default: checkSymbology(file.default || "ean-13", `"default" (${rulesPath})`),
+    prefixes,
+    rules,
+  };
+  cache.set(key, config);
+  return config;
+}
+
+/**
+ * 🏷️ Simbología y prefijo con los que generar los códigos de un producto
+ *
+ * Devuelve `{ symbology, prefix }`, listo para pasar a `allocateBarcodes`.
+ */
+export function barcodeFormatFor(product, config = loadBarcodeRules()) {
+  const rule = config.rules.find((r) => matchedBy(product, r.match));
+  const symbology = rule?.symbology || config.default;
+  return { symbology, prefix: rule?.prefix || config.prefixes[symbology] };
+}
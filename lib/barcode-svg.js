@@ -0,0 +1,169 @@
+// lib/barcode-svg.js
+import { detectSymbology, isValidGtin } from "./gtin.js";
+
+// Codificación de dígitos EAN/UPC (7 módulos, 1 = barra)
+const L_CODES = ["0001101", "0011001", "0010011", "0111101", "0100011", "0110001", "0101111", "0111011", "0110111", "0001011"];
+const R_CODES = L_CODES.map((code) => [...code].map((bit) => (bit === "1" ? "0" : "1")).join(""));
+const G_CODES = R_CODES.map((code) => [...code].reverse().join(""));
+
+// Paridad de los 6 dígitos izquierdos según el primer dígito del EAN-13
+const EAN13_PARITY = ["LLLLLL", "LLGLGG", "LLGGLG", "LLGGGL", "LGLLGG", "LGGLLG", "LGGGLL", "LGLGLG", "LGLGGL", "LGGLGL"];
+
+// ITF (entrelazado 2 de 5): n = estrecho, w = ancho
+const ITF_CODES = ["nnwwn", "wnnnw", "nwnnw", "wwnnn", "nnwnw", "wnwnn", "nwwnn", "nnnww", "wnnwn", "nwnwn"];
+const ITF_WIDE = 2.5;
+
+const START = "101";
+const MIDDLE = "01010";
+
+const escapeXml = (text) =>
+  String(text).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+/**
+ * 🦓 Módulos EAN-13 / UPC-A / EAN-8 de un código
+ *
+ * Devuelve `{ modules, guards, text }`: `modules` es una cadena de 0/1,
+ * `guards` los índices de las barras de guarda (van más largas) y `text` los
+ * grupos de dígitos legibles con el módulo donde empieza y termina cada uno.
+ */
+export function eanModules(code) {
+  const symbology = detectSymbology(code);
+  if (!["ean-13", "upc-a", "ean-8"].includes(symbology) || !isValidGtin(code)) {
+    throw new Error(`Código EAN/UPC inválido: "${code}"`);
+  }
+
+  // Un UPC-A es un EAN-13 que empieza por 0
+  const digits = symbology === "upc-a" ? `0${code}` : code;
+  const half = symbology === "ean-8" ? 4 : 6;
+  const first = symbology === "ean-8" ? null : Number(digits[0]);
+  const left = symbology === "ean-8" ? digits.slice(0, 4) : digits.slice(1, 7);
+  const right = symbology === "ean-8" ? digits.slice(4) : digits.slice(7);
+  const parity = first === null ? "LLLL" : EAN13_PARITY[first];
+
+  const leftModules = [...left].map((d, i) => (parity[i] === "L" ? L_CODES : G_CODES)[d]).join("");
+  const rightModules = [...right].map((d) => R_CODES[d]).join("");
+  const modules = START + leftModules + MIDDLE + rightModules + START;
+
+  const guards = new Set();
+  const markGuard = (from, length) => {
+    for (let i = from; i < from + length; i++) guards.add(i);
+  };
+  const middleAt = START.length + half * 7;
+  markGuard(0, START.length);
+  markGuard(middleAt, MIDDLE.length);
+  markGuard(modules.length - START.length, START.length);
+
+  let text;
+  if (symbology === "upc-a") {
+    // En UPC-A el primer y el último dígito van fuera y sus barras son largas
+    markGuard(START.length, 7);
+    markGuard(modules.length - START.length - 7, 7);
+    text = [
+      { digits: code[0], from: -9, to: -1 },
+      { digits: code.slice(1, 6), from: START.length + 7, to: middleAt },
+      { digits: code.slice(6, 11), from: middleAt + MIDDLE.length, to: modules.length - START.length - 7 },
+      { digits: code[11], from: modules.length + 1, to: modules.length + 9 },
+    ];
+  } else {
+    text = [
+      { digits: left, from: START.length, to: middleAt },
+      { digits: right, from: middleAt + MIDDLE.length, to: modules.length - START.length },
+    ];
+    if (first !== null) text.unshift({ digits: String(first), from: -10, to: -1 });
+  }
+
+  return { symbology, modules, guards, text };
+}
+
+/**
+ * 🦓 Barras ITF-14 de un GTIN-14 como lista de anchos alternos barra/espacio
+ */
+export function itfWidths(code) {
+  if (detectSymbology(code) !== "gtin-14" || !isValidGtin(code)) {
+    throw new Error(`GTIN-14 inválido: "${code}"`);
+  }
+
+  const widths = [1, 1, 1, 1];
+  for (let i = 0; i < code.length; i += 2) {
+    const bars = ITF_CODES[code[i]];
+    const spaces = ITF_CODES[code[i + 1]];
+    for (let j = 0; j < 5; j++) {
+      widths.push(bars[j] === "w" ? ITF_WIDE : 1, spaces[j] === "w" ? ITF_WIDE : 1);
+    }
+  }
+  widths.push(ITF_WIDE, 1, 1);
+  return widths;
+}
+
+// Rectángulos de las barras, fusionando módulos contiguos
+function eanBars({ modules, guards }, { x0, module, barHeight, guardHeight }) {
+  const rects = [];
+  for (let i = 0; i < modules.length; i++) {
+    if (modules[i] !== "1") continue;
+    const long = guards.has(i);
+    let end = i;
+    while (modules[end + 1] === "1" && guards.has(end + 1) === long) end++;
+    rects.push(`<rect x="${x0 + i * module}" y="0" width="${(end - i + 1) * module}" height="${long ? guardHeight : barHeight}"/>`);
+    i = end;
+  }
+  return rects;
+}
+
+function svg(width, height, fontSize, rects, text) {
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">` +
+    `<rect width="${width}" height="${height}" fill="#fff"/>` +
+    `<g fill="#000">${rects.join("")}</g>` +
+    `<g font-family="monospace" font-size="${fontSize}" fill="#000">${text}</g>` +
+    `</svg>`
+  );
+}
+
+/**
+ * 🖼️ SVG de un código de barras (EAN-13, UPC-A, EAN-8 o ITF-14), sin red ni dependencias
+ *
+ * `module` es el ancho del módulo más estrecho y `height` la altura de las
+ * barras, en unidades del SVG; con `text: false` no se imprimen los dígitos.
+ */
+export function renderBarcodeSvg(code, { module = 1, height = 60, text = true, fontSize = module * 9 } = {}) {
+  const textHeight = text ? fontSize + module : 0;
+
+  if (detectSymbology(code) === "gtin-14") {
+    const quiet = 10 * module;
+    const bearer = 3 * module;
+    const widths = itfWidths(code);
+    const barsWidth = widths.reduce((sum, w) => sum + w, 0) * module;
+    const width = barsWidth + quiet * 2;
+
+    const rects = [];
+    let x = quiet;
+    widths.forEach((w, i) => {
+      if (i % 2 === 0) rects.push(`<rect x="${x}" y="${bearer}" width="${w * module}" height="${height}"/>`);
+      x += w * module;
+    });
+    // Barras portadoras arriba y abajo (evitan lecturas parciales)
+    rects.push(`<rect x="0" y="0" width="${width}" height="${bearer}"/>`);
+    rects.push(`<rect x="0" y="${height + bearer}" width="${width}" height="${bearer}"/>`);
+
+    const label = text
+      ? `<text x="${width / 2}" y="${height + bearer * 2 + fontSize}" text-anchor="middle">${escapeXml(code)}</text>`
+      : "";
+    return svg(width, height + bearer * 2 + textHeight, fontSize, rects, label);
+  }
+
+  const encoded = eanModules(code);
+  const leftQuiet = (encoded.symbology === "ean-8" ? 7 : 11) * module;
+  const rightQuiet = (encoded.symbology === "upc-a" ? 11 : 7) * module;
+  const width = leftQuiet + encoded.modules.length * module + rightQuiet;
+  const barHeight = height - (text ? fontSize / 2 : 0);
+
+  const rects = eanBars(encoded, { x0: leftQuiet, module, barHeight, guardHeight: height });
+  const labels = text
+    ? encoded.text.map(({ digits, from, to }) => {
+        const x = leftQuiet + ((from + to) / 2) * module;
+        return `<text x="${x}" y="${barHeight + fontSize}" text-anchor="middle">${digits}</text>`;
+      })
+    : [];
+
+  return svg(width, barHeight + textHeight, fontSize, rects, labels.join(""));
+}
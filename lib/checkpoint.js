@@ -0,0 +1,110 @@
+// lib/checkpoint.js
+import fs from "fs";
+import path from "path";
+import { currentEnv } from "./shops.js";
+import { stateDirFromEnv } from "./store.js";
+
+/**
+ * ⚙️ Archivo de checkpoint de una ejecución masiva (en STATE_DIR)
+ */
+export function checkpointPathFromEnv(name, env = currentEnv()) {
+  return path.join(stateDirFromEnv(env), `checkpoint-${name}.jsonl`);
+}
+
+/**
+ * ❌ La ejecución a medias se lanzó con otra selección (pasadas, filtro,
+ * tienda o límite): reanudarla daría por hechos productos de otra selección
+ */
+export class CheckpointMismatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CheckpointMismatchError";
+  }
+}
+
+// Una línea por evento; la última puede estar cortada si el proceso murió escribiéndola
+function readEvents(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+}
+
+/**
+ * 📍 Abrir el checkpoint de una ejecución masiva
+ *
+ * El archivo es JSONL de solo añadir: una línea de inicio, una por producto
+ * procesado y una de fin. Con `resume` se continúa la última ejecución si no
+ * llegó a terminar o le quedaron fallos; los productos que fallaron se
+ * vuelven a intentar. Si su `meta` no coincide con la actual lanza un
+ * CheckpointMismatchError.
+ */
+export function openCheckpoint(file, { resume = false, meta = {} } = {}) {
+  const events = resume ? readEvents(file) : [];
+
+  const results = new Map();
+  for (const event of events) {
+    if (event.type === "product") results.set(String(event.id), event);
+  }
+
+  // Se reanuda si no llegó al final o si quedaron productos con error
+  const unfinished =
+    events[0]?.type === "start" &&
+    (!events.some((e) => e.type === "complete") || [...results.values()].some((r) => r.status === "failed"));
+
+  if (unfinished) {
+    // Solo se comparan los datos que guardó la ejecución anterior
+    const start = events[0];
+    const changed = Object.keys(meta).filter((key) => key in start && JSON.stringify(start[key]) !== JSON.stringify(meta[key]));
+    if (changed.length > 0) {
+      const differences = changed.map((key) => `${key}: ${JSON.stringify(start[key])} → ${JSON.stringify(meta[key])}`);
+      throw new CheckpointMismatchError(
+        `No se puede reanudar la ejecución del ${start.startedAt}: se lanzó con otra selección (${differences.join(", ")}). ` +
+          "Repite las mismas opciones o ejecuta sin --resume"
+      );
+    }
+    console.log(`📍 Reanudando la ejecución del ${events[0].startedAt} (${results.size} productos ya procesados)`);
+  } else {
+    results.clear();
+    if (resume) console.log("📍 No hay ejecución a medias que reanudar, se empieza de cero");
+  }
+
+  const append = (event) => fs.appendFileSync(file, `${JSON.stringify(event)}\n`);
+
+  return {
+    file,
+    resumed: unfinished,
+    results,
+    // Hasta aquí no se toca el archivo (la ejecución aún se puede cancelar)
+    begin() {
+      if (unfinished) {
+        append({ type: "resume", resumedAt: new Date().toISOString() });
+        return;
+      }
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, "");
+      append({ type: "start", startedAt: new Date().toISOString(), ...meta });
+    },
+    // Ya procesado en una ejecución anterior (los fallos se reintentan)
+    isDone(id) {
+      const result = results.get(String(id));
+      return Boolean(result) && result.status !== "failed";
+    },
+    record(id, result) {
+      const event = { type: "product", id, ...result, at: new Date().toISOString() };
+      results.set(String(id), event);
+      append(event);
+    },
+    complete(summary = {}) {
+      append({ type: "complete", completedAt: new Date().toISOString(), ...summary });
+    },
+  };
+}
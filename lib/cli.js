@@ -0,0 +1,474 @@
+// lib/cli.js
+import readline from "readline/promises";
+import { parseArgs } from "util";
+import { auditBarcodes } from "./audit.js";
+import { exportContent, importContent } from "./content-csv.js";
+import { normalizeFilters } from "./filters.js";
+import { LABEL_STOCK, generateLabels } from "./labels.js";
+import { rollbackProducts } from "./rollback.js";
+import { loadShops, runWithShop, shopsConfigPathFromEnv } from "./shops.js";
+import { listSnapshots } from "./snapshot.js";
+import { updateProducts } from "./updater.js";
+
+const FILTER_OPTIONS = {
+  tag: { type: "string", multiple: true },
+  ids: { type: "string" },
+  collection: { type: "string" },
+  vendor: { type: "string" },
+  status: { type: "string" },
+  "created-since": { type: "string" },
+  limit: { type: "string" },
+};
+
+const RUN_OPTIONS = {
+  "dry-run": { type: "boolean" },
+  yes: { type: "boolean", short: "y" },
+  resume: { type: "boolean" },
+  concurrency: { type: "string" },
+};
+
+// Pasadas extra que solo se ejecutan si se piden
+const SEO_OPTION = { seo: { type: "boolean" } };
+const SKU_OPTION = { skus: { type: "boolean" } };
+
+const ROLLBACK_OPTIONS = {
+  snapshot: { type: "string", default: "latest" },
+  list: { type: "boolean" },
+  ids: { type: "string" },
+  only: { type: "string" },
+  "dry-run": { type: "boolean" },
+  yes: { type: "boolean", short: "y" },
+  concurrency: { type: "string" },
+};
+
+const AUDIT_OPTIONS = {
+  ...FILTER_OPTIONS,
+  format: { type: "string", default: "csv" },
+  output: { type: "string" },
+  repair: { type: "boolean" },
+  "dry-run": { type: "boolean" },
+  yes: { type: "boolean", short: "y" },
+  concurrency: { type: "string" },
+};
+delete AUDIT_OPTIONS.limit;
+
+const EXPORT_OPTIONS = { ...FILTER_OPTIONS, output: { type: "string" } };
+delete EXPORT_OPTIONS.limit;
+
+const IMPORT_OPTIONS = {
+  file: { type: "string" },
+  "dry-run": { type: "boolean" },
+  yes: { type: "boolean", short: "y" },
+  concurrency: { type: "string" },
+};
+
+const LABEL_OPTIONS = {
+  snapshot: { type: "string", default: "latest" },
+  ids: { type: "string" },
+  stock: { type: "string", default: "avery-5160" },
+  skip: { type: "string" },
+  output: { type: "string" },
+  concurrency: { type: "string" },
+};
+
+// Opciones de todos los comandos: en qué tiendas del registro ejecutarlos
+const SHOP_OPTIONS = {
+  shop: { type: "string" },
+  "all-shops": { type: "boolean" },
+};
+
+const USAGE = `Uso: node bin/cli.js <comando> [opciones]
+
+Comandos:
+{commands}
+
+Usa "node bin/cli.js <comando> --help" para ver sus opciones.`;
+
+const BATCH_HELP = `Filtros:
+  --tag <etiqueta>           Productos con la etiqueta (repetible)
+  --ids <id,id,...>          Solo estos productos
+  --collection <id|handle>   Productos de la colección
+  --vendor <nombre>          Productos del proveedor
+  --status <estado>          active, draft o archived
+  --created-since <fecha>    Creados desde la fecha (AAAA-MM-DD)
+  --limit <n>                Procesar como mucho n productos
+
+Opciones:
+  --dry-run                  Simular sin escribir en Shopify
+  -y, --yes                  No pedir confirmación
+  --resume                   Continuar la última ejecución cortada
+  --concurrency <n>          Productos en paralelo (BATCH_CONCURRENCY)`;
+
+const DESCRIPTIONS_HELP = `${BATCH_HELP}
+  --seo                      Generar también el SEO y el JSON-LD (config/seo.json)`;
+
+const BARCODES_HELP = `${BATCH_HELP}
+  --skus                     Generar también los SKU que falten (config/sku.json)`;
+
+const AUDIT_HELP = `Filtros:
+  --tag, --ids, --collection, --vendor, --status, --created-since
+                             Como en descriptions (los duplicados solo se
+                             buscan entre los productos filtrados)
+
+Opciones:
+  --format <csv|json>        Formato del informe (csv por defecto)
+  --output <archivo>         Ruta del informe (barcode-audit-<fecha>.<formato>)
+  --repair                   Reasignar los códigos rotos desde el registro
+  --dry-run                  Con --repair, simular sin escribir en Shopify
+  -y, --yes                  No pedir confirmación
+  --concurrency <n>          Productos en paralelo (BATCH_CONCURRENCY)`;
+
+const EXPORT_HELP = `Filtros:
+  --tag, --ids, --collection, --vendor, --status, --created-since
+                             Como en descriptions (solo se exportan los
+                             productos que cumplen alguna regla)
+
+Opciones:
+  --output <archivo>         Ruta del CSV (product-content-<fecha>.csv)`;
+
+const IMPORT_HELP = `Opciones:
+  --file <archivo>           CSV de export con los metacampos rellenados
+                             (las celdas vacías no se tocan)
+  --dry-run                  Simular sin escribir en Shopify
+  -y, --yes                  No pedir confirmación
+  --concurrency <n>          Productos en paralelo (BATCH_CONCURRENCY)`;
+
+const LABEL_HELP = `Opciones:
+  --snapshot <id>            Ejecución cuyos códigos nuevos se imprimen
+                             (latest: la última que asignó códigos)
+  --ids <id,id,...>          En su lugar, todas las variantes de estos productos
+  --stock <formato>          {stocks} (avery-5160 por defecto)
+  --skip <n>                 Dejar en blanco las n primeras etiquetas de la hoja
+  --output <archivo>         Ruta del HTML (labels-<fecha>.html)
+  --concurrency <n>          Productos en paralelo (BATCH_CONCURRENCY)`.replace(
+  "{stocks}",
+  Object.keys(LABEL_STOCK).join(", ")
+);
+
+const ROLLBACK_HELP = `Opciones:
+  --list                     Listar las instantáneas disponibles
+  --snapshot <id>            Instantánea a restaurar (latest por defecto)
+  --ids <id,id,...>          Solo estos productos
+  --only <qué>               Solo descriptions (con SEO y JSON-LD) o barcodes
+                             (códigos y SKU)
+  --dry-run                  Simular sin escribir en Shopify
+  -y, --yes                  No pedir confirmación
+  --concurrency <n>          Productos en paralelo (BATCH_CONCURRENCY)`;
+
+const SHOP_HELP = `Tiendas (config/shops.json):
+  --shop <dominio>           Ejecutar en esta tienda
+  --all-shops                Ejecutar en todas, una tras otra`;
+
+function positiveInteger(name, value) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`--${name} debe ser un entero positivo`);
+  }
+  return number;
+}
+
+// Como positiveInteger pero admite 0 (p. ej. --skip 0 = empezar por la primera)
+function nonNegativeInteger(name, value) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value.trim())) throw new Error(`--${name} debe ser un entero mayor o igual que 0`);
+  return Number(value);
+}
+
+const splitList = (value) => (value ? value.split(",").filter(Boolean) : []);
+
+// --ids validado → lista de IDs numéricos
+const idsFromValues = (values) => normalizeFilters({ ids: splitList(values.ids) }).ids || [];
+
+// Filtros del CLI → filtros de lib/filters.js
+function filtersFromValues(values) {
+  return normalizeFilters({
+    tags: values.tag || [],
+    ids: splitList(values.ids),
+    collection: values.collection,
+    vendor: values.vendor,
+    status: values.status,
+    createdSince: values["created-since"],
+  });
+}
+
+/**
+ * ❓ Pedir confirmación por la terminal antes de escribir en Shopify
+ *
+ * Sin terminal interactiva no se puede preguntar: hay que pasar --yes.
+ */
+export async function confirmPrompt(message) {
+  if (!process.stdin.isTTY) {
+    console.error(`${message}\nNo hay terminal para confirmar: usa --yes`);
+    return false;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await rl.question(`${message} [s/N] `);
+    return /^(s|si|sí|y|yes)$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * 🏪 Tiendas en las que ejecutar un comando
+ *
+ * Sin registro, la del entorno (null). Con una sola tienda registrada no hace
+ * falta elegirla; con varias hay que pasar --shop o --all-shops.
+ */
+export function shopsFromValues(values, shops = loadShops()) {
+  if (values.shop && values["all-shops"]) {
+    throw new Error("Usa --shop o --all-shops, no ambos");
+  }
+  if (values.shop) {
+    const known = shops.size > 0 ? [...shops.keys()] : [String(process.env.SHOPIFY_SHOP || "").toLowerCase()].filter(Boolean);
+    if (!known.includes(values.shop.trim().toLowerCase())) {
+      throw new Error(`Tienda desconocida: "${values.shop}"${known.length > 0 ? ` (usa ${known.join(", ")})` : ""}`);
+    }
+    return [values.shop];
+  }
+  if (shops.size === 0) return [null];
+  if (values["all-shops"] || shops.size === 1) return [...shops.keys()];
+  throw new Error(`Hay ${shops.size} tiendas en ${shopsConfigPathFromEnv()}: usa --shop <dominio> o --all-shops`);
+}
+
+// Opciones comunes a las pasadas masivas sobre productos
+function batchOptions(values) {
+  return {
+    filters: filtersFromValues(values),
+    limit: positiveInteger("limit", values.limit),
+    concurrency: positiveInteger("concurrency", values.concurrency),
+    dryRun: values["dry-run"] || process.env.DRY_RUN === "1",
+    resume: values.resume,
+    confirm: confirmFor(values, "modificar"),
+  };
+}
+
+function confirmFor(values, action) {
+  return values.yes ? null : ({ shop, count }) => confirmPrompt(`⚠️ Se van a ${action} ${count} productos en ${shop}. ¿Continuar?`);
+}
+
+// --resume con otras opciones que la ejecución a medias es un uso incorrecto
+const exitCode = (result) => (result?.resumeMismatch ? 2 : result?.error || result?.cancelled || result?.failed > 0 ? 1 : 0);
+
+function auditOptions(values) {
+  if (!["csv", "json"].includes(values.format)) {
+    throw new Error("--format debe ser csv o json");
+  }
+
+  return {
+    filters: filtersFromValues(values),
+    format: values.format,
+    output: values.output,
+    repair: values.repair,
+    dryRun: values["dry-run"] || process.env.DRY_RUN === "1",
+    concurrency: positiveInteger("concurrency", values.concurrency),
+    confirm: confirmFor(values, "reparar códigos de"),
+  };
+}
+
+function importOptions(values) {
+  if (!values.file) {
+    throw new Error("Falta --file <archivo>");
+  }
+
+  return {
+    file: values.file,
+    dryRun: values["dry-run"] || process.env.DRY_RUN === "1",
+    concurrency: positiveInteger("concurrency", values.concurrency),
+    confirm: confirmFor(values, "importar el contenido de"),
+  };
+}
+
+function labelOptions(values) {
+  if (!LABEL_STOCK[values.stock]) {
+    throw new Error(`--stock debe ser ${Object.keys(LABEL_STOCK).join(" o ")}`);
+  }
+
+  return {
+    snapshot: values.snapshot,
+    ids: idsFromValues(values),
+    stock: values.stock,
+    skip: nonNegativeInteger("skip", values.skip) ?? 0,
+    output: values.output,
+    concurrency: positiveInteger("concurrency", values.concurrency),
+  };
+}
+
+function rollbackOptions(values) {
+  if (values.list) return { list: true };
+
+  if (values.only && !["descriptions", "barcodes"].includes(values.only)) {
+    throw new Error("--only debe ser descriptions o barcodes");
+  }
+
+  return {
+    snapshot: values.snapshot,
+    only: values.only || null,
+    ids: idsFromValues(values),
+    dryRun: values["dry-run"] || process.env.DRY_RUN === "1",
+    concurrency: positiveInteger("concurrency", values.concurrency),
+    confirm: confirmFor(values, "restaurar"),
+  };
+}
+
+async function rollback({ list, ...options }) {
+  if (list) {
+    const snapshots = listSnapshots();
+    if (snapshots.length === 0) console.log("No hay instantáneas");
+    for (const snapshot of snapshots) {
+      console.log(`${snapshot.id}  ${String(snapshot.products).padStart(5)} productos`);
+    }
+    return 0;
+  }
+
+  return exitCode(await rollbackProducts(options));
+}
+
+/**
+ * 🧰 Subcomandos del CLI: `{ summary, help, options, parse(values) → opciones, run(opciones) → código de salida }`
+ *
+ * `parse` valida las opciones y lanza un Error si no valen, antes de ejecutar
+ * nada en ninguna tienda; lo que dependa de la tienda se lee en `run`.
+ */
+export const commands = {
+  descriptions: {
+    summary: "Regenerar el bloque de descripción gestionado (con --seo, también el SEO)",
+    help: DESCRIPTIONS_HELP,
+    options: { ...FILTER_OPTIONS, ...RUN_OPTIONS, ...SEO_OPTION },
+    parse: (values) => ({ ...batchOptions(values), seo: !!values.seo }),
+    run: async (options) => exitCode(await updateProducts({ ...options, descriptions: true })),
+  },
+  barcodes: {
+    summary: "Asignar códigos de barras a las variantes sin código (con --skus, también SKU)",
+    help: BARCODES_HELP,
+    options: { ...FILTER_OPTIONS, ...RUN_OPTIONS, ...SKU_OPTION },
+    parse: (values) => ({ ...batchOptions(values), skus: !!values.skus }),
+    run: async (options) => exitCode(await updateProducts({ ...options, descriptions: false, barcodes: true })),
+  },
+  skus: {
+    summary: "Generar SKU para las variantes sin SKU (los existentes no se tocan)",
+    help: BATCH_HELP,
+    options: { ...FILTER_OPTIONS, ...RUN_OPTIONS },
+    parse: batchOptions,
+    run: async (options) => exitCode(await updateProducts({ ...options, descriptions: false, skus: true })),
+  },
+  seo: {
+    summary: "Generar título y meta descripción SEO y el JSON-LD del producto",
+    help: BATCH_HELP,
+    options: { ...FILTER_OPTIONS, ...RUN_OPTIONS },
+    parse: batchOptions,
+    run: async (options) => exitCode(await updateProducts({ ...options, descriptions: false, seo: true })),
+  },
+  audit: {
+    summary: "Revisar los códigos de barras y generar un informe CSV/JSON",
+    help: AUDIT_HELP,
+    options: AUDIT_OPTIONS,
+    parse: auditOptions,
+    run: async (options) => exitCode(await auditBarcodes(options)),
+  },
+  export: {
+    summary: "Exportar a CSV los metacampos de los productos con categoría",
+    help: EXPORT_HELP,
+    options: EXPORT_OPTIONS,
+    parse: (values) => ({ filters: filtersFromValues(values), output: values.output }),
+    run: async (options) => exitCode(await exportContent(options)),
+  },
+  import: {
+    summary: "Importar un CSV de export: escribir metacampos y regenerar descripciones",
+    help: IMPORT_HELP,
+    options: IMPORT_OPTIONS,
+    parse: importOptions,
+    run: async (options) => exitCode(await importContent(options)),
+  },
+  labels: {
+    summary: "Hoja de etiquetas imprimibles con los códigos asignados",
+    help: LABEL_HELP,
+    options: LABEL_OPTIONS,
+    parse: labelOptions,
+    run: async (options) => exitCode(await generateLabels(options)),
+  },
+  rollback: {
+    summary: "Restaurar descripciones y códigos desde una instantánea",
+    help: ROLLBACK_HELP,
+    options: ROLLBACK_OPTIONS,
+    parse: rollbackOptions,
+    run: rollback,
+  },
+};
+
+function usage(name) {
+  if (name) {
+    return `Uso: node bin/cli.js ${name} [opciones]\n\n${commands[name].summary}\n\n${commands[name].help}
+  -h, --help                 Mostrar esta ayuda\n\n${SHOP_HELP}`;
+  }
+
+  const width = Math.max(...Object.keys(commands).map((command) => command.length)) + 3;
+  const list = Object.entries(commands)
+    .map(([command, { summary }]) => `  ${command.padEnd(width)}${summary}`)
+    .join("\n");
+  return USAGE.replace("{commands}", list);
+}
+
+/**
+ * ▶️ Ejecutar el CLI con los argumentos dados (sin `node` ni el script)
+ *
+ * Devuelve el código de salida: 0 bien, 1 fallo, 2 uso incorrecto.
+ */
+export async function runCli(argv) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === "-h" || name === "--help") {
+    console.log(usage());
+    return name ? 0 : 2;
+  }
+
+  const command = commands[name];
+  if (!command) {
+    console.error(`Comando desconocido: "${name}"\n\n${usage()}`);
+    return 2;
+  }
+
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: rest,
+      options: { ...command.options, ...SHOP_OPTIONS, help: { type: "boolean", short: "h" } },
+      strict: true,
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n\n${usage(name)}`);
+    return 2;
+  }
+
+  if (values.help) {
+    console.log(usage(name));
+    return 0;
+  }
+
+  let shops;
+  let options;
+  try {
+    shops = shopsFromValues(values);
+    options = command.parse(values);
+  } catch (err) {
+    // Opciones, filtros o tienda inválidos: no se ha ejecutado nada
+    console.error(`❌ ${err.message}`);
+    return 2;
+  }
+
+  let code = 0;
+  for (const shop of shops) {
+    if (shops.length > 1) console.log(`\n🏪 ${shop}`);
+    try {
+      code = Math.max(code, await runWithShop(shop, () => command.run(options)));
+    } catch (err) {
+      // Fallos al ejecutar (configuración ilegible, Shopify…): las demás tiendas siguen
+      console.error(`❌ ${err.message}`);
+      code = 1;
+    }
+  }
+  return code;
+}
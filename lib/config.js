@@ -0,0 +1,20 @@
+// lib/config.js
+import { currentEnv } from "./shops.js";
+
+// Versión de la Admin API usada por todos los puntos de entrada
+export const DEFAULT_API_VERSION = "2025-01";
+
+/**
+ * ⚙️ Credenciales de Shopify a partir del entorno
+ *
+ * SHOPIFY_API_URL envía las llamadas a otro servidor en vez de
+ * https://<tienda> (p. ej. el Shopify falso de las pruebas).
+ */
+export function shopifyConfigFromEnv(env = currentEnv()) {
+  return {
+    shop: env.SHOPIFY_SHOP,
+    token: env.SHOPIFY_ADMIN_TOKEN,
+    apiVersion: env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION,
+    apiUrl: env.SHOPIFY_API_URL || null,
+  };
+}
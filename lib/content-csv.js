@@ -0,0 +1,283 @@
+// lib/content-csv.js
+import fs from "fs";
+import { shopifyConfigFromEnv } from "./config.js";
+import { parseCsv, toCsv } from "./csv.js";
+import { renderDescription } from "./description.js";
+import { recordDryRun, writeDryRunReport } from "./dry-run.js";
+import { normalizeFilters, productSearchQuery, resolveCollectionFilter } from "./filters.js";
+import { contentHash, mergeManagedBlock } from "./managed-block.js";
+import { expectedMetafieldsFromEnv } from "./metafields.js";
+import { mapWithConcurrency } from "./pool.js";
+import { reportRun } from "./report.js";
+import { loadTagRules, matchCategory } from "./rules.js";
+import { createRunLog } from "./run-log.js";
+import { loadSeoConfig, seoUpdate } from "./seo.js";
+import { createShopifyClient } from "./shopify.js";
+import { createSnapshot } from "./snapshot.js";
+import { descriptionLocales, translateDescription } from "./translations.js";
+import { batchConcurrencyFromEnv } from "./updater.js";
+
+// Columnas de solo lectura; el resto con forma `namespace.key` son metacampos
+const INFO_COLUMNS = ["product_id", "handle", "title", "category"];
+const TRAILING_COLUMNS = ["barcodes", "description_hash"];
+const METAFIELD_COLUMN = /^[\w-]+\.[\w-]+$/;
+
+/**
+ * 📄 Filas de contenido de los productos que cumplen alguna regla
+ *
+ * Una fila por producto con un metacampo por columna (`custom.dimensions`…),
+ * los códigos de sus variantes y el hash de la descripción actual.
+ */
+export function contentRows(products, { rules = loadTagRules(), metafields = expectedMetafieldsFromEnv() } = {}) {
+  const rows = [];
+  for (const product of [...products].sort((a, b) => a.id - b.id)) {
+    const category = matchCategory(product, rules);
+    if (!category) continue;
+
+    const row = { product_id: product.id, handle: product.handle, title: product.title, category: category.name };
+    for (const nsKey of metafields) {
+      const [namespace, key] = nsKey.split(".");
+      row[nsKey] = (product.metafields || []).find((m) => m.namespace === namespace && m.key === key)?.value ?? "";
+    }
+    row.barcodes = product.variants.map((variant) => variant.barcode).filter(Boolean).join(" ");
+    row.description_hash = contentHash(product.body_html || "");
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * 📤 Exportar a CSV el contenido de los productos con categoría
+ *
+ * Pensado para rellenar los metacampos en una hoja de cálculo y volver a
+ * importarlo con `importContent`. Devuelve el resumen con la ruta del archivo.
+ */
+export async function exportContent({ filters = {}, output } = {}) {
+  let client;
+  try {
+    client = createShopifyClient(shopifyConfigFromEnv());
+  } catch (err) {
+    console.error(err.message);
+    return { error: err.message };
+  }
+
+  try {
+    const query = productSearchQuery(await resolveCollectionFilter(client, normalizeFilters(filters)));
+    if (query) console.log(`🔎 Filtro: ${query}`);
+
+    const products = await client.fetchAllProducts({ query });
+    const metafields = expectedMetafieldsFromEnv();
+    const rows = contentRows(products, { metafields });
+    const empty = rows.filter((row) => metafields.some((nsKey) => !row[nsKey])).length;
+    console.log(`📦 Productos con categoría: ${rows.length} de ${products.length} (${empty} con metacampos vacíos)`);
+
+    const file = output || `product-content-${new Date().toISOString().replace(/[:.]/g, "-")}.csv`;
+    fs.writeFileSync(file, toCsv(rows, [...INFO_COLUMNS, ...metafields, ...TRAILING_COLUMNS]));
+    console.log(`📝 Contenido guardado en ${file}`);
+    return { products: rows.length, empty, file };
+  } catch (e) {
+    console.error("❌ Error general:", e.message || e);
+    return { error: e.message || String(e) };
+  }
+}
+
+/**
+ * ✅ Leer y validar el CSV de contenido
+ *
+ * Devuelve `[{ id, metafields: [{ namespace, key, value }], descriptionHash }]`.
+ * Las celdas vacías no cuentan: la importación nunca borra metacampos.
+ */
+export function readContentCsv(file) {
+  const rows = parseCsv(fs.readFileSync(file, "utf8"));
+  const columns = Object.keys(rows[0] || {});
+  if (!columns.includes("product_id")) throw new Error(`${file}: falta la columna product_id`);
+
+  const metafieldColumns = columns.filter((column) => METAFIELD_COLUMN.test(column));
+  if (metafieldColumns.length === 0) {
+    throw new Error(`${file}: no hay columnas de metacampos (namespace.key, p. ej. custom.dimensions)`);
+  }
+
+  const seen = new Set();
+  return rows.map((row, index) => {
+    const line = index + 2;
+    const id = String(row.product_id).trim();
+    if (!/^\d+$/.test(id)) throw new Error(`${file}:${line}: ID de producto inválido "${row.product_id}"`);
+    if (seen.has(id)) throw new Error(`${file}:${line}: el producto ${id} está repetido`);
+    seen.add(id);
+
+    const metafields = metafieldColumns
+      .map((column) => {
+        const [namespace, key] = column.split(".");
+        return { namespace, key, value: String(row[column]).trim() };
+      })
+      .filter((m) => m.value !== "");
+    return { id: Number(id), metafields, descriptionHash: row.description_hash || null };
+  });
+}
+
+// Tipo de un metacampo nuevo: el del actual si existe, si no texto de una o varias líneas
+const metafieldType = (current, value) =>
+  current?.type || (value.includes("\n") ? "multi_line_text_field" : "single_line_text_field");
+
+/**
+ * 📥 Importar un CSV de contenido: escribe los metacampos y regenera la descripción
+ *
+ * Solo se escriben los metacampos cuyo valor cambia; con ellos se regeneran
+ * el bloque gestionado, su traducción y el SEO (si config/seo.json está
+ * activo) de los productos con categoría. Antes de escribir se guarda una
+ * instantánea para `rollback`; con `dryRun` solo se muestra el diff.
+ */
+export async function importContent({ file, dryRun = false, concurrency = batchConcurrencyFromEnv(), confirm = null } = {}) {
+  let client;
+  try {
+    client = createShopifyClient(shopifyConfigFromEnv());
+  } catch (err) {
+    console.error(err.message);
+    return { error: err.message };
+  }
+
+  const startRun = () => createRunLog({ kind: "batch", label: "import", meta: { shop: client.shop, file, dryRun } });
+  let runLog = null;
+
+  try {
+    const rows = readContentCsv(file);
+    console.log(`📄 Filas en ${file}: ${rows.length}`);
+    runLog = startRun();
+    if (rows.length === 0) {
+      await reportRun(runLog.finish());
+      return { updated: 0, skipped: 0, failed: 0, missing: 0, run: runLog.id };
+    }
+
+    // Una sola operación masiva con todo el catálogo: buscar por ID no escala
+    // a un CSV con miles de filas
+    const wanted = new Set(rows.map((row) => row.id));
+    const products = (await client.fetchAllProducts()).filter((product) => wanted.has(product.id));
+    const byId = new Map(products.map((product) => [product.id, product]));
+    const missing = rows.filter((row) => !byId.has(row.id));
+    for (const row of missing) console.warn(`⚠️ Producto ${row.id} no encontrado en ${client.shop}`);
+
+    const rules = loadTagRules();
+    const seoConfig = loadSeoConfig();
+    const locales = await descriptionLocales(client);
+    if (dryRun) console.log("🧪 Modo DRY RUN: no se enviará ningún cambio a Shopify");
+
+    // Cambios de cada producto, calculados antes de pedir confirmación
+    const pending = [];
+    let skipped = 0;
+    for (const row of rows) {
+      const product = byId.get(row.id);
+      if (!product) continue;
+
+      const current = product.metafields || [];
+      const find = ({ namespace, key }, list) => list.find((m) => m.namespace === namespace && m.key === key);
+      const written = row.metafields
+        .filter((m) => find(m, current)?.value !== m.value)
+        .map((m) => ({ ...m, type: metafieldType(find(m, current), m.value) }));
+      const metafields = [...current.filter((m) => !find(m, written)), ...written];
+
+      if (row.descriptionHash && row.descriptionHash !== contentHash(product.body_html || "")) {
+        console.warn(`⚠️ La descripción de "${product.title}" cambió desde la exportación (solo se toca el bloque gestionado)`);
+      }
+
+      const payload = { id: product.id };
+      const category = matchCategory(product, rules);
+      if (category) {
+        const merged = mergeManagedBlock(product.body_html, renderDescription(product, { metafields, category }));
+        if (merged.changed) payload.body_html = merged.html;
+
+        if (seoConfig.enabled !== false) {
+          const seo = seoUpdate(product, { metafields, category, config: seoConfig });
+          if (seo?.seo) payload.seo = seo.seo;
+          written.push(...(seo?.metafields || []));
+        }
+      }
+      if (written.length > 0) payload.metafields = written;
+
+      if (!payload.body_html && !payload.seo && !payload.metafields) {
+        console.log(`⏭️ Sin cambios: ${product.title}`);
+        skipped++;
+        runLog.product(product.id, { title: product.title, action: "unchanged" });
+        continue;
+      }
+      pending.push({ product, payload, metafields, category });
+    }
+
+    if (!dryRun && pending.length > 0 && confirm && !(await confirm({ shop: client.shop, count: pending.length }))) {
+      console.log("🚫 Importación cancelada, no se ha modificado nada");
+      runLog.finish({ cancelled: true });
+      return { cancelled: true, pending: pending.length };
+    }
+
+    const snapshot = dryRun ? null : createSnapshot({ label: "import", meta: { file } });
+    const dryRunChanges = [];
+    let updated = 0;
+    let failed = 0;
+
+    await mapWithConcurrency(pending, concurrency, async ({ product, payload, metafields, category }) => {
+      const started = Date.now();
+      const changes = {
+        description: payload.body_html !== undefined,
+        seo: !!payload.seo,
+        metafields: (payload.metafields || []).map((m) => `${m.namespace}.${m.key}`),
+      };
+      const logResult = (action, extra = {}) =>
+        runLog.product(product.id, { title: product.title, action, durationMs: Date.now() - started, ...changes, ...extra });
+      const translate = async (html) => {
+        if (!category || locales.length === 0) return [];
+        try {
+          return await translateDescription(client, product, { html, metafields, category, locales, dryRun, snapshot });
+        } catch (err) {
+          console.warn(`⚠️ No se pudo traducir la descripción de "${product.title}":`, err.message);
+          return [];
+        }
+      };
+
+      if (dryRun) {
+        const translations = await translate(payload.body_html ?? product.body_html);
+        recordDryRun(dryRunChanges, product, { product: payload }, translations);
+        logResult("would-update", { translations: translations.map((t) => t.locale) });
+        return;
+      }
+
+      try {
+        snapshot.record(product, payload);
+        await client.updateProduct(payload);
+        const translations = await translate(payload.body_html ?? product.body_html);
+        console.log(`✅ Importado: ${product.title} (${changes.metafields.join(", ") || "sin metacampos nuevos"})`);
+        updated++;
+        logResult("updated", { translations: translations.map((t) => t.locale) });
+      } catch (err) {
+        console.error(`❌ Error al importar ${product.title}:`, err.message);
+        failed++;
+        logResult("failed", { error: err.message });
+      }
+    });
+
+    if (dryRun) {
+      writeDryRunReport(dryRunChanges);
+      console.log(`\n🧪 Productos que se actualizarían: ${dryRunChanges.length}`);
+      console.log(`⏭️ Productos ya al día: ${skipped}`);
+      await reportRun(runLog.finish({ missing: missing.length }));
+      return { dryRun: true, changes: dryRunChanges.length, skipped, missing: missing.length, run: runLog.id };
+    }
+
+    console.log(`\n📥 Importación completada: ${updated} actualizados, ${skipped} sin cambios`);
+    if (missing.length > 0) console.log(`⚠️ Productos no encontrados: ${missing.length}`);
+    if (failed > 0) console.log(`❌ Productos con error: ${failed}`);
+    if (snapshot.count > 0) console.log(`📸 Estado anterior guardado: rollback --snapshot ${snapshot.id}`);
+    await reportRun(runLog.finish({ missing: missing.length, snapshot: snapshot.count > 0 ? snapshot.id : null }));
+    return {
+      updated,
+      skipped,
+      failed,
+      missing: missing.length,
+      snapshot: snapshot.count > 0 ? snapshot.id : null,
+      run: runLog.id,
+    };
+  } catch (e) {
+    console.error("❌ Error general:", e.message || e);
+    runLog ??= startRun();
+    await reportRun(runLog.finish({ error: e.message || String(e) }));
+    return { error: e.message || String(e) };
+  }
+}
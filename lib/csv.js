@@ -0,0 +1,69 @@
+// lib/csv.js
+
+// Comillas solo cuando hacen falta (separador, comillas, saltos de línea o espacios en los bordes)
+function escapeCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 📄 Filas (objetos) → CSV con cabecera
+ *
+ * `columns` es la lista de claves, en orden; la cabecera usa esos mismos nombres.
+ */
+export function toCsv(rows, columns = Object.keys(rows[0] || {})) {
+  const lines = [columns.map(escapeCell).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCell(row[column])).join(","));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * 📥 CSV con cabecera → filas (objetos)
+ *
+ * Admite comillas con saltos de línea dentro, CRLF, el BOM que añaden las hojas
+ * de cálculo y `;` como separador si la cabecera lo usa en vez de `,` (Excel
+ * en español). Las líneas vacías se ignoran.
+ */
+export function parseCsv(text) {
+  const source = String(text).replace(/^\uFEFF/, "");
+  const firstLine = source.slice(0, source.search(/\r?\n|$/));
+  const separator = firstLine.includes(";") && !firstLine.includes(",") ? ";" : ",";
+
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === separator) {
+      record.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      records.push([...record, cell]);
+      record = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new Error("CSV inválido: falta cerrar unas comillas");
+  if (cell !== "" || record.length > 0) records.push([...record, cell]);
+
+  const [header = [], ...rows] = records.filter((r) => r.some((value) => value !== ""));
+  const columns = header.map((column) => column.trim());
+  return rows.map((values) => Object.fromEntries(columns.map((column, i) => [column, values[i] ?? ""])));
+}
@@ -0,0 +1,134 @@
+// lib/description.js
+import fs from "fs";
+import path from "path";
+import Mustache from "mustache";
+import { matchCategory } from "./rules.js";
+import { currentEnv } from "./shops.js";
+
+const cache = new Map();
+
+/**
+ * ⚙️ Carpeta de plantillas (DESCRIPTION_TEMPLATES_DIR o templates/)
+ */
+export function templatesDirFromEnv(env = currentEnv()) {
+  return env.DESCRIPTION_TEMPLATES_DIR || path.resolve("templates");
+}
+
+function readTemplates(dir) {
+  if (!fs.existsSync(dir)) return {};
+  return Object.fromEntries(
+    fs
+      .readdirSync(dir)
+      .filter((file) => file.endsWith(".mustache"))
+      .map((file) => [path.basename(file, ".mustache"), fs.readFileSync(path.join(dir, file), "utf8")])
+  );
+}
+
+/**
+ * 📂 Plantillas (*.mustache) y parciales (partials/*.mustache) de una carpeta
+ */
+export function loadTemplates(dir = templatesDirFromEnv()) {
+  if (cache.has(dir)) return cache.get(dir);
+
+  const loaded = { templates: readTemplates(dir), partials: readTemplates(path.join(dir, "partials")) };
+  cache.set(dir, loaded);
+  return loaded;
+}
+
+/**
+ * 🌐 Idiomas con plantillas propias: subcarpetas de la de plantillas (es/, pt-BR/…)
+ */
+export function templateLocales(dir = templatesDirFromEnv()) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && entry.name !== "partials")
+    .map((entry) => entry.name);
+}
+
+/**
+ * 🌐 Carpeta de plantillas de un idioma, o null si no tiene
+ *
+ * Sin carpeta para la variante regional (pt-BR) se usa la del idioma (pt).
+ * Cada carpeta es completa: plantillas y sus propios partials/.
+ */
+export function localeTemplatesDir(locale, dir = templatesDirFromEnv()) {
+  const available = templateLocales(dir);
+  const match = [locale, String(locale).split("-")[0]].find((candidate) => available.includes(candidate));
+  return match ? path.join(dir, match) : null;
+}
+
+/**
+ * 🏷️ Categoría con la etiqueta en el idioma dado (`labels` de la regla)
+ */
+export function localizeCategory(category, locale) {
+  const labels = category.labels || {};
+  return { ...category, label: labels[locale] || labels[String(locale).split("-")[0]] || category.label };
+}
+
+/**
+ * 🔍 Valor de un metacampo (namespace "custom" por defecto)
+ */
+export function getMetafield(metafields, key, namespace = "custom") {
+  return metafields.find((m) => m.namespace === namespace && m.key === key)?.value || "";
+}
+
+/**
+ * 🧩 Datos disponibles dentro de las plantillas (ver templates/README.md)
+ */
+export function buildTemplateContext(product, { metafields = [], category = null } = {}) {
+  const grouped = {};
+  for (const { namespace, key, value } of metafields) {
+    grouped[namespace] = { ...grouped[namespace], [key]: value };
+  }
+
+  const variants = (product.variants || []).map((variant, index, all) => ({
+    title: variant.title,
+    sku: variant.sku,
+    price: variant.price,
+    barcode: variant.barcode,
+    option1: variant.option1,
+    option2: variant.option2,
+    option3: variant.option3,
+    first: index === 0,
+    last: index === all.length - 1,
+  }));
+
+  return {
+    title: product.title,
+    handle: product.handle,
+    vendor: product.vendor,
+    productType: product.product_type,
+    category,
+    metafields: grouped,
+    variants,
+    hasMultipleVariants: variants.length > 1,
+  };
+}
+
+/**
+ * 📝 Descripción del producto según su categoría, o null si no tiene una
+ *
+ * Con `locale` usa las plantillas de ese idioma (ver `localeTemplatesDir`).
+ */
+export function renderDescription(
+  product,
+  { metafields = [], category = matchCategory(product), templatesDir = templatesDirFromEnv(), locale = null } = {}
+) {
+  if (!category) return null;
+
+  const dir = locale ? localeTemplatesDir(locale, templatesDir) : templatesDir;
+  if (!dir) {
+    throw new Error(`No hay plantillas para el idioma "${locale}" en ${templatesDir}`);
+  }
+  const context = buildTemplateContext(product, { metafields, category: locale ? localizeCategory(category, locale) : category });
+
+  const { templates, partials } = loadTemplates(dir);
+  const template = templates[category.template];
+  if (template === undefined) {
+    const where = locale ? ` en el idioma ${locale}` : "";
+    throw new Error(`Plantilla de descripción desconocida: "${category.template}"${where} (regla ${category.name})`);
+  }
+
+  return Mustache.render(template, context, partials);
+}
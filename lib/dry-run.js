@@ -0,0 +1,90 @@
+// lib/dry-run.js
+import fs from "fs";
+import { currentEnv } from "./shops.js";
+
+/**
+ * 🧾 Diff línea a línea (LCS) entre la descripción actual y la nueva
+ */
+export function diffLines(before, after) {
+  const normalize = (html) =>
+    String(html || "").split("\n").map((l) => l.trim()).filter(Boolean);
+  const a = normalize(before);
+  const b = normalize(after);
+
+  // Tabla LCS para alinear las líneas que no cambian
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push(`  ${a[i]}`);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push(`- ${a[i++]}`);
+    } else {
+      lines.push(`+ ${b[j++]}`);
+    }
+  }
+  while (i < a.length) lines.push(`- ${a[i++]}`);
+  while (j < b.length) lines.push(`+ ${b[j++]}`);
+
+  return lines;
+}
+
+/**
+ * 🧪 Mostrar y registrar lo que se enviaría a Shopify (sin escribir nada)
+ *
+ * `translations` son las traducciones que cambiarían (ver lib/translations.js).
+ */
+export function recordDryRun(changes, product, payload, translations = []) {
+  const after = payload.product.body_html ?? product.body_html;
+  const diff = diffLines(product.body_html, after);
+  const variants = (payload.product.variants || []).map((v) => ({ id: v.id, barcode: v.barcode, sku: v.sku }));
+  const descriptionChanged = diff.some((l) => !l.startsWith("  "));
+
+  console.log(`\n🧪 [DRY RUN] ${product.title} (ID: ${product.id})`);
+  if (descriptionChanged) {
+    diff.filter((l) => !l.startsWith("  ")).forEach((l) => console.log(`   ${l}`));
+  } else {
+    console.log("   (descripción sin cambios)");
+  }
+  variants.forEach((v) =>
+    console.log(`   🔢 Variante ${v.id} → ${[v.barcode, v.sku && `SKU ${v.sku}`].filter(Boolean).join(" · ")}`)
+  );
+  Object.entries(payload.product.seo || {}).forEach(([field, value]) => console.log(`   🔎 SEO ${field} → ${value}`));
+  (payload.product.metafields || []).forEach((m) => console.log(`   🧾 Metacampo ${m.namespace}.${m.key} → ${m.value ?? "(borrado)"}`));
+  const translated = translations.map(({ locale, before, after }) => ({ locale, diff: diffLines(before, after) }));
+  translated.forEach(({ locale, diff }) =>
+    console.log(`   🌐 Traducción ${locale}: ${diff.filter((l) => !l.startsWith("  ")).length} líneas cambian`)
+  );
+
+  changes.push({
+    id: product.id,
+    title: product.title,
+    descriptionChanged,
+    description: { before: product.body_html || "", after: after || "" },
+    diff,
+    variants,
+    seo: payload.product.seo || null,
+    metafields: payload.product.metafields || [],
+    translations: translated,
+  });
+}
+
+/**
+ * 💾 Guardar la simulación en un JSON para revisarla antes de publicar
+ */
+export function writeDryRunReport(changes) {
+  const file =
+    currentEnv().DRY_RUN_OUTPUT || `dry-run-${new Date().toISOString().replace(/[:.]/g, "-")}.json`;
+  fs.writeFileSync(file, JSON.stringify({ generatedAt: new Date().toISOString(), changes }, null, 2));
+  console.log(`📝 Cambios simulados guardados en ${file}`);
+}
@@ -0,0 +1,73 @@
+// lib/filters.js
+
+const STATUSES = ["active", "draft", "archived"];
+
+// Valor entre comillas para la sintaxis de búsqueda de Shopify
+const quote = (value) => JSON.stringify(String(value));
+
+/**
+ * ✅ Validar y normalizar los filtros de productos
+ *
+ * `{ tags, ids, collection, vendor, status, createdSince }`; lanza un Error
+ * con un mensaje legible si alguno no es válido.
+ */
+export function normalizeFilters({ tags = [], ids = [], collection, vendor, status, createdSince } = {}) {
+  const filters = {};
+
+  if (tags.length > 0) filters.tags = tags.map((tag) => tag.trim()).filter(Boolean);
+
+  if (ids.length > 0) {
+    filters.ids = ids.map((id) => {
+      if (!/^\d+$/.test(String(id).trim())) throw new Error(`ID de producto inválido: "${id}"`);
+      return Number(id);
+    });
+  }
+
+  if (collection) filters.collection = String(collection).trim();
+  if (vendor) filters.vendor = String(vendor).trim();
+
+  if (status) {
+    filters.status = String(status).toLowerCase();
+    if (!STATUSES.includes(filters.status)) {
+      throw new Error(`Estado inválido: "${status}" (usa ${STATUSES.join(", ")})`);
+    }
+  }
+
+  if (createdSince) {
+    if (Number.isNaN(Date.parse(createdSince))) throw new Error(`Fecha inválida: "${createdSince}"`);
+    filters.createdSince = new Date(createdSince).toISOString();
+  }
+
+  return filters;
+}
+
+/**
+ * 🗂️ Sustituir el handle de la colección por su ID (la búsqueda solo admite IDs)
+ */
+export async function resolveCollectionFilter(client, filters) {
+  if (!filters.collection || /^\d+$/.test(filters.collection)) return filters;
+
+  const id = await client.findCollectionId(filters.collection);
+  if (!id) throw new Error(`Colección no encontrada: "${filters.collection}"`);
+  return { ...filters, collection: String(id) };
+}
+
+/**
+ * 🔎 Filtros → búsqueda de productos de la Admin API (null si no hay filtros)
+ *
+ * Varias etiquetas o IDs se combinan con OR; los distintos filtros, con AND.
+ */
+export function productSearchQuery(filters = {}) {
+  const terms = [];
+  const anyOf = (field, values) =>
+    values.length === 1 ? `${field}:${values[0]}` : `(${values.map((v) => `${field}:${v}`).join(" OR ")})`;
+
+  if (filters.tags?.length) terms.push(anyOf("tag", filters.tags.map(quote)));
+  if (filters.ids?.length) terms.push(anyOf("id", filters.ids));
+  if (filters.collection) terms.push(`collection_id:${filters.collection}`);
+  if (filters.vendor) terms.push(`vendor:${quote(filters.vendor)}`);
+  if (filters.status) terms.push(`status:${filters.status}`);
+  if (filters.createdSince) terms.push(`created_at:>=${quote(filters.createdSince)}`);
+
+  return terms.length > 0 ? terms.join(" AND ") : null;
+}
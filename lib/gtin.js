@@ -0,0 +1,133 @@
+// lib/gtin.js
+
+/**
+ * 🔢 Simbologías GTIN soportadas y su longitud total (con dígito de control)
+ */
+export const SYMBOLOGIES = {
+  "ean-13": { length: 13, label: "EAN-13" },
+  "upc-a": { length: 12, label: "UPC-A" },
+  "ean-8": { length: 8, label: "EAN-8" },
+  "gtin-14": { length: 14, label: "GTIN-14" },
+};
+
+/**
+ * ⚙️ Prefijo por defecto de cada simbología: rangos de uso interno de GS1
+ *
+ * EAN-13 200-299, UPC-A con sistema de numeración 2, EAN-8 con 2 y GTIN-14
+ * con indicador 1 sobre el rango interno EAN-13.
+ */
+export const DEFAULT_PREFIXES = {
+  "ean-13": "200",
+  "upc-a": "2",
+  "ean-8": "2",
+  "gtin-14": "1200",
+};
+
+function symbologyInfo(symbology) {
+  const info = SYMBOLOGIES[symbology];
+  if (!info) {
+    throw new Error(`Simbología desconocida: "${symbology}" (usa ${Object.keys(SYMBOLOGIES).join(", ")})`);
+  }
+  return info;
+}
+
+/**
+ * 🔢 Dígito de control GS1 para el cuerpo de un GTIN (todos los dígitos salvo el último)
+ *
+ * Desde la derecha los dígitos pesan 3, 1, 3, 1…; vale para las cuatro simbologías.
+ */
+export function gtinCheckDigit(body) {
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const digit = parseInt(body[body.length - 1 - i], 10);
+    sum += i % 2 === 0 ? digit * 3 : digit;
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * 🔎 Simbología de un código según su longitud, o null
+ */
+export function detectSymbology(code) {
+  const length = String(code).length;
+  return Object.keys(SYMBOLOGIES).find((symbology) => SYMBOLOGIES[symbology].length === length) || null;
+}
+
+/**
+ * ✅ Validar un GTIN (dígitos, longitud y control), de una simbología concreta o de cualquiera
+ */
+export function isValidGtin(code, symbology = detectSymbology(code)) {
+  if (!symbology || !/^\d+$/.test(code)) return false;
+  if (code.length !== symbologyInfo(symbology).length) return false;
+  return gtinCheckDigit(code.slice(0, -1)) === parseInt(code[code.length - 1], 10);
+}
+
+/**
+ * ✅ Comprobar que un prefijo sirve para generar códigos de la simbología
+ */
+export function validatePrefix(prefix, symbology = "ean-13") {
+  symbologyInfo(symbology);
+  if (!/^\d+$/.test(prefix)) {
+    throw new Error(`Prefijo de código de barras inválido: "${prefix}"`);
+  }
+
+  switch (symbology) {
+    case "ean-13":
+      if (prefix.length === 3) {
+        const n = parseInt(prefix, 10);
+        if (n < 200 || n > 299) {
+          throw new Error(`El prefijo interno debe estar entre 200 y 299 (recibido ${prefix})`);
+        }
+        return;
+      }
+      if (prefix.length < 6 || prefix.length > 11) {
+        throw new Error(`El prefijo de empresa GS1 debe tener entre 6 y 11 dígitos (recibido ${prefix})`);
+      }
+      return;
+
+    case "upc-a":
+      if (prefix.length === 1) {
+        if (prefix !== "2" && prefix !== "4") {
+          throw new Error(`El sistema de numeración interno de UPC-A es 2 o 4 (recibido ${prefix})`);
+        }
+        return;
+      }
+      if (prefix.length < 6 || prefix.length > 10) {
+        throw new Error(`El prefijo de empresa UPC-A debe tener entre 6 y 10 dígitos (recibido ${prefix})`);
+      }
+      return;
+
+    case "ean-8":
+      // GS1 asigna los EAN-8 uno a uno: solo se generan en el rango interno 2
+      if (!prefix.startsWith("2") || prefix.length > 3) {
+        throw new Error(`El prefijo EAN-8 debe empezar por 2 y tener como mucho 3 dígitos (recibido ${prefix})`);
+      }
+      return;
+
+    case "gtin-14":
+      if (prefix[0] < "1" || prefix[0] > "8") {
+        throw new Error(`El indicador de GTIN-14 debe estar entre 1 y 8 (recibido ${prefix[0]})`);
+      }
+      validatePrefix(prefix.slice(1), "ean-13");
+      return;
+  }
+}
+
+/**
+ * 🔢 Cuántos códigos caben tras el prefijo
+ */
+export function gtinCapacity(prefix, symbology = "ean-13") {
+  return 10 ** (symbologyInfo(symbology).length - 1 - prefix.length);
+}
+
+/**
+ * 🏷️ Código número `sequence` de la simbología con el prefijo dado
+ */
+export function buildGtin(prefix, sequence, symbology = "ean-13") {
+  const { length } = symbologyInfo(symbology);
+  const body = `${prefix}${String(sequence).padStart(length - 1 - prefix.length, "0")}`;
+  if (body.length !== length - 1) {
+    throw new Error(`La secuencia ${sequence} no cabe tras el prefijo ${prefix} en ${symbology}`);
+  }
+  return body + gtinCheckDigit(body);
+}
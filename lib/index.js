@@ -0,0 +1,127 @@
+// lib/index.js
+// Punto de entrada común para los scripts de api/ y las funciones de Netlify
+export { DEFAULT_API_VERSION, shopifyConfigFromEnv } from "./config.js";
+export {
+  ShopifyError,
+  assembleBulkProducts,
+  backoffDelay,
+  createShopifyClient,
+  fromGid,
+  normalizeProduct,
+  shopifyFetch,
+  toGid,
+} from "./shopify.js";
+export { auditBarcodes, findBarcodeIssues, writeAuditReport } from "./audit.js";
+export {
+  allocateBarcodes,
+  ean13CheckDigit,
+  getExistingBarcodes,
+  isValidEan13,
+  readRegistry,
+  registryOptionsFromEnv,
+} from "./barcode-registry.js";
+export { eanModules, itfWidths, renderBarcodeSvg } from "./barcode-svg.js";
+export { barcodeFormatFor, barcodeRulesPathFromEnv, loadBarcodeRules } from "./barcode-rules.js";
+export { CheckpointMismatchError, checkpointPathFromEnv, openCheckpoint } from "./checkpoint.js";
+export { commands, confirmPrompt, runCli } from "./cli.js";
+export { contentRows, exportContent, importContent, readContentCsv } from "./content-csv.js";
+export { parseCsv, toCsv } from "./csv.js";
+export {
+  buildTemplateContext,
+  getMetafield,
+  loadTemplates,
+  localeTemplatesDir,
+  localizeCategory,
+  renderDescription,
+  templateLocales,
+  templatesDirFromEnv,
+} from "./description.js";
+export { MANAGED_BLOCK, contentHash, mergeManagedBlock, wrapManagedBlock } from "./managed-block.js";
+export {
+  DEFAULT_EXPECTED_METAFIELDS,
+  MAX_PENDING_ATTEMPTS,
+  expectedMetafieldsFromEnv,
+  fetchMetafieldsWithRetry,
+  missingMetafields,
+  pendingMetafieldsStore,
+} from "./metafields.js";
+export { normalizeFilters, productSearchQuery, resolveCollectionFilter } from "./filters.js";
+export {
+  DEFAULT_PREFIXES,
+  SYMBOLOGIES,
+  buildGtin,
+  detectSymbology,
+  gtinCapacity,
+  gtinCheckDigit,
+  isValidGtin,
+  validatePrefix,
+} from "./gtin.js";
+export {
+  LABEL_STOCK,
+  generateLabels,
+  labelCurrencyFromEnv,
+  labelsForProducts,
+  renderLabelSheet,
+} from "./labels.js";
+export { buildMessage, notifyConfigFromEnv, sendMail, sendNotification } from "./notify.js";
+export { mapWithConcurrency } from "./pool.js";
+export { processProduct } from "./process-product.js";
+export {
+  renderRunHtml,
+  renderRunMarkdown,
+  reportRun,
+  runStatus,
+  runSubject,
+  writeRunSummary,
+} from "./report.js";
+export { rollbackProducts } from "./rollback.js";
+export { loadTagRules, matchCategory, matchedBy, normalizeMatch, tagRulesPathFromEnv } from "./rules.js";
+export { createRunLog, runLogDirFromEnv } from "./run-log.js";
+export {
+  DEFAULT_SEO_CONFIG,
+  buildProductJsonLd,
+  buildSeo,
+  loadSeoConfig,
+  seoConfigPathFromEnv,
+  seoUpdate,
+  truncateText,
+} from "./seo.js";
+export {
+  currentEnv,
+  currentShop,
+  forEachShop,
+  loadShops,
+  runWithShop,
+  shopEnv,
+  shopsConfigPathFromEnv,
+} from "./shops.js";
+export {
+  connectStores,
+  createBlobStore,
+  createFileStore,
+  createMemoryStore,
+  createStore,
+  registerStoreBackend,
+  stateDirFromEnv,
+} from "./store.js";
+export {
+  DEFAULT_SKU_CONFIG,
+  generateSkus,
+  getExistingSkus,
+  loadSkuConfig,
+  skuConfigPathFromEnv,
+  slugify,
+} from "./sku.js";
+export { createSnapshot, listSnapshots, loadSnapshot, snapshotDirFromEnv } from "./snapshot.js";
+export { isOwnUpdate, productSyncHash, recordOwnUpdate, syncMarkerStore } from "./sync-marker.js";
+export { parseTags } from "./tags.js";
+export { descriptionLocales, translateDescription } from "./translations.js";
+export { batchConcurrencyFromEnv, updateProducts } from "./updater.js";
+export {
+  createProductJobHandler,
+  createProductWebhookHandler,
+  deliveryStore,
+  pruneDeliveries,
+  runProductJob,
+} from "./webhook.js";
+export { allowedShopsFromEnv, authenticateWebhook, verifyWebhook, webhookSecretsFromEnv } from "./webhook-auth.js";
@@ -0,0 +1,207 @@
+// lib/labels.js
+import fs from "fs";
+import { renderBarcodeSvg } from "./barcode-svg.js";
+import { shopifyConfigFromEnv } from "./config.js";
+import { mapWithConcurrency } from "./pool.js";
+import { createShopifyClient } from "./shopify.js";
+import { currentEnv } from "./shops.js";
+import { listSnapshots, loadSnapshot } from "./snapshot.js";
+import { batchConcurrencyFromEnv } from "./updater.js";
+
+/**
+ * 🏷️ Formatos de hoja de etiquetas (medidas en pulgadas)
+ */
+export const LABEL_STOCK = {
+  // Carta, 3 × 10 etiquetas de 2⅝" × 1"
+  "avery-5160": {
+    page: { width: 8.5, height: 11, size: "letter" },
+    label: { width: 2.625, height: 1 },
+    columns: 3,
+    rows: 10,
+    margin: { top: 0.5, left: 0.1875 },
+    pitch: { x: 2.75, y: 1 },
+  },
+  // A4, 3 × 7 etiquetas de 63,5 × 38,1 mm
+  "avery-l7160": {
+    page: { width: 8.27, height: 11.69, size: "A4" },
+    label: { width: 2.5, height: 1.5 },
+    columns: 3,
+    rows: 7,
+    margin: { top: 0.6, left: 0.285 },
+    pitch: { x: 2.6, y: 1.5 },
+  },
+};
+
+const escapeHtml = (text) =>
+  String(text ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+/**
+ * ⚙️ Moneda de los precios en las etiquetas (LABEL_CURRENCY, USD por defecto)
+ */
+export function labelCurrencyFromEnv(env = currentEnv()) {
+  return env.LABEL_CURRENCY || "USD";
+}
+
+/**
+ * 🏷️ Etiquetas de las variantes con código de barras de unos productos
+ *
+ * Con `variantIds` solo las de esas variantes. Cada etiqueta lleva título,
+ * variante, SKU, precio y código.
+ */
+export function labelsForProducts(products, { variantIds = null } = {}) {
+  const wanted = variantIds && new Set([...variantIds].map(String));
+  return products.flatMap((product) =>
+    (product.variants || [])
+      .filter((variant) => variant.barcode && (!wanted || wanted.has(String(variant.id))))
+      .map((variant) => ({
+        title: product.title,
+        variant: variant.title && variant.title !== "Default Title" ? variant.title : "",
+        sku: variant.sku || "",
+        price: variant.price,
+        barcode: variant.barcode,
+      }))
+  );
+}
+
+function labelHtml(label, { width, height }, formatPrice) {
+  let barcode;
+  try {
+    barcode = renderBarcodeSvg(label.barcode, { module: 1, height: 40 });
+  } catch {
+    barcode = `<div class="invalid">Código inválido: ${escapeHtml(label.barcode)}</div>`;
+  }
+
+  const details = [label.variant, label.sku && `SKU ${label.sku}`].filter(Boolean).map(escapeHtml).join(" · ");
+  const price = label.price ? `<span class="price">${escapeHtml(formatPrice(label.price))}</span>` : "";
+
+  return `<div class="label" style="width:${width}in;height:${height}in">
+  <div class="title">${escapeHtml(label.title)}</div>
+  <div class="details"><span>${details}</span>${price}</div>
+  <div class="barcode">${barcode}</div>
+</div>`;
+}
+
+/**
+ * 🖨️ Hoja HTML lista para imprimir (o guardar como PDF desde el navegador)
+ *
+ * `skip` deja en blanco las primeras posiciones, para aprovechar una hoja
+ * empezada.
+ */
+export function renderLabelSheet(labels, { stock = "avery-5160", skip = 0, currency = labelCurrencyFromEnv() } = {}) {
+  const layout = LABEL_STOCK[stock];
+  if (!layout) {
+    throw new Error(`Formato de etiquetas desconocido: "${stock}" (usa ${Object.keys(LABEL_STOCK).join(", ")})`);
+  }
+
+  const priceFormat = new Intl.NumberFormat("en-US", { style: "currency", currency });
+  const formatPrice = (price) => priceFormat.format(Number(price));
+  const perPage = layout.columns * layout.rows;
+  const slots = [...new Array(skip).fill(null), ...labels];
+
+  const pages = [];
+  for (let start = 0; start < slots.length; start += perPage) {
+    const cells = slots.slice(start, start + perPage).map((label, index) => {
+      const left = layout.margin.left + (index % layout.columns) * layout.pitch.x;
+      const top = layout.margin.top + Math.floor(index / layout.columns) * layout.pitch.y;
+      const content = label ? labelHtml(label, layout.label, formatPrice) : "";
+      return `<div class="slot" style="left:${left}in;top:${top}in">${content}</div>`;
+    });
+    pages.push(`<section class="page">\n${cells.join("\n")}\n</section>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>Etiquetas (${labels.length})</title>
+<style>
+  @page { size: ${layout.page.size}; margin: 0; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: Arial, Helvetica, sans-serif; }
+  .page { position: relative; width: ${layout.page.width}in; height: ${layout.page.height}in; page-break-after: always; overflow: hidden; }
+  .slot { position: absolute; }
+  .label { display: flex; flex-direction: column; padding: 0.06in 0.1in; overflow: hidden; }
+  .title { font-size: 8pt; font-weight: bold; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  .details { display: flex; justify-content: space-between; gap: 0.05in; font-size: 7pt; white-space: nowrap; }
+  .details span:first-child { overflow: hidden; text-overflow: ellipsis; }
+  .price { font-weight: bold; }
+  .barcode { flex: 1; min-height: 0; display: flex; justify-content: center; }
+  .barcode svg { height: 100%; width: auto; max-width: 100%; }
+  .invalid { font-size: 7pt; color: #b00; }
+</style>
+</head>
+<body>
+${pages.join("\n")}
+</body>
+</html>
+`;
+}
+
+// Variantes de la instantánea a las que se cambió el código (no solo el SKU)
+const hasNewBarcode = (variant) => variant.barcode !== undefined;
+
+// Última instantánea de una ejecución que asignó códigos (no de un rollback)
+function latestBarcodeSnapshot() {
+  for (const { id, label } of listSnapshots()) {
+    if (label === "rollback") continue;
+    const snapshot = loadSnapshot(id);
+    if ([...snapshot.products.values()].some((entry) => entry.variants?.some(hasNewBarcode))) return snapshot;
+  }
+  throw new Error("Ninguna ejecución reciente ha asignado códigos de barras");
+}
+
+/**
+ * 🖨️ Generar la hoja de etiquetas de los códigos asignados en una ejecución
+ *
+ * Por defecto usa la última ejecución que asignó códigos (barcodes o la
+ * reparación de audit); `snapshot` elige otra e `ids` imprime todas las
+ * variantes con código de esos productos. Los datos se leen de Shopify en el
+ * momento, así que la etiqueta refleja el código actual.
+ */
+export async function generateLabels({
+  snapshot = "latest",
+  ids = [],
+  stock = "avery-5160",
+  skip = 0,
+  output,
+  concurrency = batchConcurrencyFromEnv(),
+} = {}) {
+  let client;
+  try {
+    client = createShopifyClient(shopifyConfigFromEnv());
+  } catch (err) {
+    console.error(err.message);
+    return { error: err.message };
+  }
+
+  try {
+    let productIds = ids;
+    let variantIds = null;
+
+    if (productIds.length === 0) {
+      const source = snapshot === "latest" ? latestBarcodeSnapshot() : loadSnapshot(snapshot);
+      const entries = [...source.products.values()].filter((entry) => entry.variants?.some(hasNewBarcode));
+      productIds = entries.map((entry) => entry.id);
+      variantIds = entries.flatMap((entry) => entry.variants.filter(hasNewBarcode).map((v) => v.id));
+      console.log(`📸 Instantánea ${source.id}: ${variantIds.length} variantes con código nuevo`);
+    }
+
+    const products = (await mapWithConcurrency(productIds, concurrency, (id) => client.fetchProduct(id))).filter(Boolean);
+    const labels = labelsForProducts(products, { variantIds });
+    if (labels.length === 0) {
+      console.log("🏷️ No hay etiquetas que imprimir");
+      return { labels: 0 };
+    }
+
+    const file = output || `labels-${new Date().toISOString().replace(/[:.]/g, "-")}.html`;
+    fs.writeFileSync(file, renderLabelSheet(labels, { stock, skip }));
+
+    const perPage = LABEL_STOCK[stock].columns * LABEL_STOCK[stock].rows;
+    const pages = Math.ceil((labels.length + skip) / perPage);
+    console.log(`🏷️ ${labels.length} etiquetas (${pages} hojas ${stock}) guardadas en ${file}`);
+    return { labels: labels.length, pages, file };
+  } catch (e) {
+    console.error("❌ Error general:", e.message || e);
+    return { error: e.message || String(e) };
+  }
+}
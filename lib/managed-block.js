@@ -0,0 +1,71 @@
+// lib/managed-block.js
+import crypto from "crypto";
+
+// Nombre del bloque gestionado dentro de body_html
+export const MANAGED_BLOCK = "product-usp";
+
+const BLOCK_RE = new RegExp(
+  `<!--\\s*${MANAGED_BLOCK}:start(?:\\s+hash=([0-9a-f]+))?\\s*-->[\\s\\S]*?<!--\\s*${MANAGED_BLOCK}:end\\s*-->`
+);
+
+/**
+ * #️⃣ Hash corto del contenido generado (se guarda en el marcador de inicio)
+ */
+export function contentHash(content) {
+  return crypto.createHash("sha256").update(String(content).trim()).digest("hex").slice(0, 12);
+}
+
+/**
+ * 📦 Envolver el contenido generado entre los marcadores del bloque
+ */
+export function wrapManagedBlock(content) {
+  return [
+    `<!-- ${MANAGED_BLOCK}:start hash=${contentHash(content)} -->`,
+    String(content).trim(),
+    `<!-- ${MANAGED_BLOCK}:end -->`,
+  ].join("\n");
+}
+
+// Descripciones generadas antes de existir los marcadores: <div class="product-usp">…</div>
+function findLegacyBlock(html) {
+  const start = html.search(new RegExp(`<div\\s+class=["']${MANAGED_BLOCK}["']\\s*>`, "i"));
+  if (start === -1) return null;
+
+  const tagRe = /<\/?div\b[^>]*>/gi;
+  tagRe.lastIndex = start;
+  let depth = 0;
+  let tag;
+  while ((tag = tagRe.exec(html))) {
+    depth += tag[0][1] === "/" ? -1 : 1;
+    if (depth === 0) return { start, end: tag.index + tag[0].length };
+  }
+  return null;
+}
+
+/**
+ * 🔀 Insertar o reemplazar el bloque gestionado sin tocar el HTML del equipo
+ *
+ * - Si ya hay marcadores, solo se sustituye lo que hay entre ellos
+ * - Si hay un bloque antiguo sin marcadores, se reemplaza por el nuevo
+ * - Si no hay bloque, se añade al final del contenido existente
+ *
+ * Devuelve `{ html, changed }`; `changed` es false cuando el hash del bloque
+ * actual coincide con el del contenido nuevo.
+ */
+export function mergeManagedBlock(existingHtml, content) {
+  const html = existingHtml || "";
+  const block = wrapManagedBlock(content);
+
+  const current = html.match(BLOCK_RE);
+  if (current) {
+    if (current[1] === contentHash(content)) return { html, changed: false };
+    return { html: html.replace(BLOCK_RE, () => block), changed: true };
+  }
+
+  const legacy = findLegacyBlock(html);
+  if (legacy) {
+    return { html: html.slice(0, legacy.start) + block + html.slice(legacy.end), changed: true };
+  }
+
+  return { html: html.trim() ? `${html.trimEnd()}\n${block}` : block, changed: true };
+}
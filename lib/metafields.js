@@ -0,0 +1,52 @@
+// lib/metafields.js
+import { currentEnv } from "./shops.js";
+import { createStore } from "./store.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Metacampos que usan las plantillas (templates/partials/specs.mustache)
+export const DEFAULT_EXPECTED_METAFIELDS = ["custom.dimensions", "custom.includes", "custom.warranty"];
+
+// Reintentos programados antes de publicar la descripción con lo que haya
+export const MAX_PENDING_ATTEMPTS = 8;
+
+/**
+ * ⚙️ Metacampos esperados (EXPECTED_METAFIELDS="custom.dimensions,custom.warranty")
+ */
+export function expectedMetafieldsFromEnv(env = currentEnv()) {
+  if (!env.EXPECTED_METAFIELDS) return DEFAULT_EXPECTED_METAFIELDS;
+  return env.EXPECTED_METAFIELDS.split(",").map((m) => m.trim()).filter(Boolean);
+}
+
+/**
+ * 🕳️ Metacampos esperados que están vacíos o no existen
+ */
+export function missingMetafields(metafields, expected = expectedMetafieldsFromEnv()) {
+  return expected.filter((nsKey) => {
+    const [namespace, key] = nsKey.split(".");
+    return !metafields.some((m) => m.namespace === namespace && m.key === key && m.value);
+  });
+}
+
+/**
+ * 🔍 Leer metacampos, esperando un poco si aún no están completos
+ *
+ * Al crear un producto los metacampos pueden guardarse unos segundos después
+ * que el producto; se reintenta `attempts` veces antes de devolver lo que haya.
+ */
+export async function fetchMetafieldsWithRetry(client, productId, { expected, attempts = 2, delayMs = 2000 } = {}) {
+  let metafields = [];
+  for (let i = 0; i < attempts; i++) {
+    metafields = await client.fetchMetafields(productId);
+    if (missingMetafields(metafields, expected).length === 0) break;
+    if (i < attempts - 1) await sleep(delayMs);
+  }
+  return metafields;
+}
+
+/**
+ * ⏳ Cola de productos cuya descripción espera metacampos
+ */
+export function pendingMetafieldsStore() {
+  return createStore("pending-metafields");
+}
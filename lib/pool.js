@@ -0,0 +1,22 @@
+// lib/pool.js
+
+/**
+ * 🚦 Aplicar `fn` a cada elemento con como mucho `limit` llamadas en curso
+ *
+ * Devuelve los resultados en el mismo orden que `items`.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
@@ -0,0 +1,260 @@
+// lib/process-product.js
+import { allocateBarcodes, registryOptionsFromEnv } from "./barcode-registry.js";
+import { barcodeFormatFor } from "./barcode-rules.js";
+import { renderDescription } from "./description.js";
+import { mergeManagedBlock } from "./managed-block.js";
+import {
+  MAX_PENDING_ATTEMPTS,
+  fetchMetafieldsWithRetry,
+  missingMetafields,
+  pendingMetafieldsStore,
+} from "./metafields.js";
+import { matchCategory } from "./rules.js";
+import { loadSeoConfig, seoUpdate } from "./seo.js";
+import { generateSkus, getExistingSkus, loadSkuConfig } from "./sku.js";
+import { recordOwnUpdate, syncMarkerStore } from "./sync-marker.js";
+import { descriptionLocales, translateDescription } from "./translations.js";
+
+// Estado del producto tras aplicar nuestro payload (para la marca anti-bucle)
+function applyUpdate(product, update) {
+  return {
+    ...product,
+    ...update,
+    variants: product.variants.map((v) => ({ ...v, ...update.variants?.find((u) => u.id === v.id) })),
+  };
+}
+
+/**
+ * Procesar un producto recibido por webhook (o reintentado más tarde)
+ *
+ * Asigna códigos de barras a las variantes sin código, genera SKU para las
+ * que no tienen (sin tocar los existentes) y actualiza el bloque de
+ * descripción, el SEO y el JSON-LD (lib/seo.js) con los metacampos. Si
+ * faltan metacampos, el producto queda en la cola de pendientes para que
+ * `retry-metafields` lo vuelva a procesar.
+ * Después traduce el bloque a los idiomas publicados que tienen plantillas
+ * (lib/translations.js). Cada escritura deja una marca para reconocer su eco
+ * en products/update.
+ */
+export async function processProduct(product, options = {}) {
+  const {
+    client,
+    source = "webhook",
+    attempt = 0,
+    metafieldAttempts = 2,
+    pending = pendingMetafieldsStore(),
+    markers = syncMarkerStore(),
+  } = options;
+
+  console.log(`Procesando: ${product.title} (${product.variants.length} variantes)`);
+
+  // Asignar códigos de barras del registro a las variantes que no tienen
+  const variantUpdates = new Map();
+  const variantUpdate = (id) => variantUpdates.get(id) || variantUpdates.set(id, { id }).get(id);
+  let barcodesGenerated = 0;
+  let skusGenerated = 0;
+
+  const missing = product.variants.filter((variant) => !variant.barcode);
+
+  if (missing.length > 0) {
+    const assigned = await allocateBarcodes(
+      product.id,
+      missing.map((variant) => variant.id),
+      {
+        ...registryOptionsFromEnv(),
+        ...barcodeFormatFor(product),
+        existing: new Set(product.variants.map((variant) => variant.barcode).filter(Boolean)),
+        isTaken: (code) => client.barcodeExists(code),
+        source,
+      }
+    );
+
+    for (const [variantId, newBarcode] of assigned) {
+      variantUpdate(variantId).barcode = newBarcode;
+      barcodesGenerated++;
+      console.log(`Código generado: ${newBarcode} para variante ${variantId}`);
+    }
+  }
+
+  // Generar SKU para las variantes que no tienen (únicos en toda la tienda)
+  const skuConfig = loadSkuConfig();
+  if (skuConfig.enabled !== false) {
+    const assigned = await generateSkus(
+      product,
+      product.variants.map((variant) => variant.id),
+      {
+        existing: getExistingSkus([product]),
+        isTaken: (sku) => client.skuExists(sku),
+        config: skuConfig,
+      }
+    );
+
+    for (const [variantId, sku] of assigned) {
+      variantUpdate(variantId).sku = sku;
+      skusGenerated++;
+      console.log(`SKU generado: ${sku} para variante ${variantId}`);
+    }
+  }
+
+  const updatedVariants = [...variantUpdates.values()];
+
+  // Preparar payload de actualización
+  const updatePayload = { product: { id: product.id } };
+  let metafieldsPending = false;
+
+  // Agregar el bloque de descripción gestionado (respeta el HTML escrito a mano)
+  const category = matchCategory(product);
+  let metafields = [];
+  if (category) {
+    metafields = await fetchMetafieldsWithRetry(client, product.id, { attempts: metafieldAttempts });
+    const merged = mergeManagedBlock(product.body_html, renderDescription(product, { metafields, category }));
+    if (merged.changed) {
+      updatePayload.product.body_html = merged.html;
+      console.log(`Descripción generada (${merged.html.length} caracteres)`);
+    }
+
+    // Metacampos aún vacíos: se publica lo que hay y se reintenta más tarde
+    const stillMissing = missingMetafields(metafields);
+    if (stillMissing.length > 0 && attempt < MAX_PENDING_ATTEMPTS) {
+      metafieldsPending = true;
+      console.log(`Metacampos pendientes (${stillMissing.join(", ")}), reintento ${attempt + 1}/${MAX_PENDING_ATTEMPTS}`);
+      await pending.set(String(product.id), {
+        attempts: attempt + 1,
+        missing: stillMissing,
+        updatedAt: new Date().toISOString(),
+      });
+    } else {
+      await pending.delete(String(product.id));
+    }
+  }
+
+  // SEO y JSON-LD con los códigos y SKU recién asignados; el webhook no trae el SEO
+  let seoUpdated = false;
+  const seoConfig = loadSeoConfig();
+  if (category && seoConfig.enabled !== false) {
+    try {
+      const current = product.seo ? product : await client.fetchProduct(product.id);
+      const variants = product.variants.map((variant) => ({ ...variant, ...variantUpdates.get(variant.id) }));
+      const changes = seoUpdate({ ...product, seo: current?.seo }, { metafields, category, variants, config: seoConfig });
+      if (changes) {
+        Object.assign(updatePayload.product, changes);
+        seoUpdated = true;
+        console.log(`SEO generado${changes.seo ? ` (${Object.keys(changes.seo).join(", ")})` : ""}`);
+      }
+    } catch (error) {
+      console.error(`Error generando el SEO de ${product.title}:`, error.message);
+    }
+  }
+
+  // Agregar códigos de barras y SKU
+  if (updatedVariants.length > 0) {
+    updatePayload.product.variants = updatedVariants;
+  }
+
+  // Traducir el bloque con la descripción que queda en Shopify; un fallo no
+  // deshace lo ya escrito
+  const translate = async (html) => {
+    if (!category) return [];
+    try {
+      const locales = await descriptionLocales(client);
+      return (await translateDescription(client, product, { html, metafields, category, locales })).map((t) => t.locale);
+    } catch (error) {
+      console.error(`Error traduciendo ${product.title}:`, error.message);
+      return [];
+    }
+  };
+
+  // Solo actualizar si hay cambios
+  if (!updatePayload.product.body_html && updatedVariants.length === 0 && !seoUpdated) {
+    const translations = await translate(product.body_html);
+    if (translations.length > 0) {
+      return { success: true, changes: true, barcodesGenerated, skusGenerated, translations, metafieldsPending };
+    }
+    console.log(`Producto ${product.title} ya está completo`);
+    return { success: true, changes: false, metafieldsPending };
+  }
+
+  try {
+    console.log(`Actualizando en Shopify...`);
+
+    const written = await client.updateProduct(updatePayload.product);
+    await recordOwnUpdate(written || applyUpdate(product, updatePayload.product), markers);
+
+    console.log(`ÉXITO: ${product.title} actualizado`);
+    console.log(`  Descripción: ${updatePayload.product.body_html ? "Sí" : "No"}`);
+    console.log(`  Códigos: ${barcodesGenerated}`);
+    console.log(`  SKU: ${skusGenerated}`);
+    console.log(`  SEO: ${seoUpdated ? "Sí" : "No"}`);
+
+    const translations = await translate(written?.body_html ?? updatePayload.product.body_html ?? product.body_html);
+
+    return {
+      success: true,
+      changes: true,
+      barcodesGenerated,
+      skusGenerated,
+      barcodes: updatedVariants.map((v) => v.barcode).filter(Boolean),
+      skus: updatedVariants.map((v) => v.sku).filter(Boolean),
+      descriptionAdded: !!updatePayload.product.body_html,
+      seoUpdated,
+      translations,
+      metafieldsPending,
+    };
+  } catch (error) {
+    console.error(`Error actualizando ${product.title}:`, error.message);
+
+    // Si falla la actualización completa, intentar solo variantes. Las
+    // variantes se escriben las últimas: lo que llegó antes del fallo está
+    // en `error.written`
+    if (updatedVariants.length > 0) {
+      console.log(`Intentando actualizar solo códigos de barras y SKU...`);
+
+      const applied = [];
+      for (const variant of updatedVariants) {
+        try {
+          await client.updateVariant(product.id, variant);
+          console.log(`Código ${variant.barcode ?? "-"} / SKU ${variant.sku ?? "-"} aplicado a variante ${variant.id}`);
+          applied.push(variant);
+        } catch (variantError) {
+          console.error(`Error en variante ${variant.id}:`, variantError.message);
+        }
+      }
+
+      // Se informa y se marca lo que de verdad quedó en Shopify
+      let landed = null;
+      try {
+        landed = await client.fetchProduct(product.id);
+      } catch (fetchError) {
+        console.error(`No se pudo leer ${product.title} tras el fallo:`, fetchError.message);
+      }
+      landed ??= applyUpdate(error.written || product, { variants: applied });
+      const inShopify = (field) =>
+        updatedVariants
+          .filter((v) => v[field] && landed.variants.find((now) => now.id === v.id)?.[field] === v[field])
+          .map((v) => v[field]);
+      const barcodes = inShopify("barcode");
+      const skus = inShopify("sku");
+      const productWritten = !!error.written;
+
+      if (barcodes.length > 0 || skus.length > 0 || productWritten) {
+        await recordOwnUpdate(landed, markers);
+      }
+
+      return {
+        success: barcodes.length > 0 || skus.length > 0,
+        changes: barcodes.length > 0 || skus.length > 0 || productWritten,
+        barcodesGenerated: barcodes.length,
+        skusGenerated: skus.length,
+        barcodes,
+        skus,
+        error: error.message,
+        descriptionAdded: productWritten && !!updatePayload.product.body_html,
+        seoUpdated: productWritten && seoUpdated,
+        metafieldsPending,
+        partial: true,
+      };
+    }
+
+    throw error;
+  }
+}
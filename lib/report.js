@@ -0,0 +1,196 @@
+// lib/report.js
+import fs from "fs";
+import path from "path";
+import { notifyConfigFromEnv, sendNotification } from "./notify.js";
+
+// Filas de detalle como mucho en el resumen (el JSONL tiene todas)
+const MAX_ROWS = 50;
+
+const ACTION_LABELS = {
+  updated: "Actualizados",
+  "would-update": "Se actualizarían",
+  partial: "Actualizados en parte",
+  unchanged: "Sin cambios",
+  failed: "Con error",
+};
+
+const escapeHtml = (text) =>
+  String(text ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const escapeCell = (text) => String(text ?? "").replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+
+const formatDuration = (ms) => (ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`);
+
+/**
+ * 🚦 Estado de una ejecución: error (abortada), failed (algún producto con
+ * error o actualizado solo en parte) u ok
+ */
+export function runStatus(run) {
+  if (run.totals.error) return "error";
+  return run.totals.failed > 0 || run.totals.partial > 0 ? "failed" : "ok";
+}
+
+/**
+ * ✉️ Asunto de la notificación de una ejecución
+ */
+export function runSubject(run) {
+  const icon = { ok: "✅", failed: "⚠️", error: "❌" }[runStatus(run)];
+  const shop = run.meta.shop ? ` en ${run.meta.shop}` : "";
+  const failed = run.totals.failed ? `, ${run.totals.failed} con error` : "";
+  const count = `${run.totals.products} producto${run.totals.products === 1 ? "" : "s"}`;
+  return `${icon} ${run.label}${shop}: ${count}${failed}`;
+}
+
+// Secciones comunes a Markdown y HTML
+function summarySections(run) {
+  const facts = [
+    ["Ejecución", run.id],
+    run.meta.shop && ["Tienda", run.meta.shop],
+    run.meta.query && ["Filtro", run.meta.query],
+    run.meta.dryRun && ["Modo", "simulación (no se escribió nada)"],
+    ["Inicio", run.startedAt],
+    ["Duración", formatDuration(run.durationMs)],
+    run.totals.error && ["Error", run.totals.error],
+  ].filter(Boolean);
+
+  const counts = [
+    ...Object.entries(ACTION_LABELS)
+      .filter(([action]) => run.totals[action])
+      .map(([action, label]) => [label, run.totals[action]]),
+    run.totals.barcodes > 0 && ["Códigos de barras asignados", run.totals.barcodes],
+    run.totals.skus > 0 && ["SKU asignados", run.totals.skus],
+  ].filter(Boolean);
+
+  const failed = run.products.filter((p) => p.action === "failed");
+  const changed = run.products.filter((p) => ["updated", "would-update", "partial"].includes(p.action));
+  return { facts, counts, failed, changed };
+}
+
+/**
+ * 📝 Resumen de una ejecución en Markdown
+ */
+export function renderRunMarkdown(run) {
+  const { facts, counts, failed, changed } = summarySections(run);
+  const lines = [`# ${runSubject(run)}`, "", ...facts.map(([key, value]) => `- **${key}:** ${escapeCell(value)}`), ""];
+
+  if (counts.length) {
+    lines.push("| Resultado | Total |", "| --- | ---: |", ...counts.map(([label, n]) => `| ${label} | ${n} |`), "");
+  }
+
+  if (failed.length) {
+    lines.push("## Errores", "", "| ID | Producto | Error |", "| --- | --- | --- |");
+    failed.slice(0, MAX_ROWS).forEach((p) => lines.push(`| ${p.productId} | ${escapeCell(p.title)} | ${escapeCell(p.error)} |`));
+    if (failed.length > MAX_ROWS) lines.push("", `…y ${failed.length - MAX_ROWS} más`);
+    lines.push("");
+  }
+
+  if (changed.length) {
+    lines.push("## Cambios", "", "| ID | Producto | Descripción | Códigos | SKU |", "| --- | --- | --- | --- | --- |");
+    changed.slice(0, MAX_ROWS).forEach((p) =>
+      lines.push(
+        `| ${p.productId} | ${escapeCell(p.title)} | ${p.description ? "sí" : "no"} | ${p.barcodes.join(", ")} | ${escapeCell(p.skus.join(", "))} |`
+      )
+    );
+    if (changed.length > MAX_ROWS) lines.push("", `…y ${changed.length - MAX_ROWS} más`);
+    lines.push("");
+  }
+
+  if (run.file) lines.push(`Registro completo: \`${run.file}\``, "");
+  return lines.join("\n");
+}
+
+/**
+ * 🌐 Resumen de una ejecución en HTML (autocontenido, para abrir o enviar por correo)
+ */
+export function renderRunHtml(run) {
+  const { facts, counts, failed, changed } = summarySections(run);
+  const table = (head, rows) =>
+    `<table>\n<tr>${head.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr>\n` +
+    rows.map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`).join("\n") +
+    "\n</table>";
+  const more = (list) => (list.length > MAX_ROWS ? `<p>…y ${list.length - MAX_ROWS} más</p>` : "");
+
+  const sections = [
+    `<h1>${escapeHtml(runSubject(run))}</h1>`,
+    `<ul>\n${facts.map(([key, value]) => `<li><strong>${escapeHtml(key)}:</strong> ${escapeHtml(value)}</li>`).join("\n")}\n</ul>`,
+    counts.length ? table(["Resultado", "Total"], counts) : "",
+    failed.length
+      ? `<h2>Errores</h2>\n${table(["ID", "Producto", "Error"], failed.slice(0, MAX_ROWS).map((p) => [p.productId, p.title, p.error]))}${more(failed)}`
+      : "",
+    changed.length
+      ? `<h2>Cambios</h2>\n${table(
+          ["ID", "Producto", "Descripción", "Códigos", "SKU"],
+          changed
+            .slice(0, MAX_ROWS)
+            .map((p) => [p.productId, p.title, p.description ? "sí" : "no", p.barcodes.join(", "), p.skus.join(", ")])
+        )}${more(changed)}`
+      : "",
+    run.file ? `<p>Registro completo: <code>${escapeHtml(run.file)}</code></p>` : "",
+  ].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(runSubject(run))}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 14px; color: #222; }
+  table { border-collapse: collapse; margin: 1em 0; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+  th { background: #f3f3f3; }
+</style>
+</head>
+<body>
+${sections.join("\n")}
+</body>
+</html>
+`;
+}
+
+/**
+ * 💾 Guardar los resúmenes Markdown y HTML junto al registro JSONL
+ */
+export function writeRunSummary(run, dir = path.dirname(run.file)) {
+  fs.mkdirSync(dir, { recursive: true });
+  const markdown = path.join(dir, `${run.id}.md`);
+  const html = path.join(dir, `${run.id}.html`);
+  fs.writeFileSync(markdown, renderRunMarkdown(run));
+  fs.writeFileSync(html, renderRunHtml(run));
+  return { markdown, html };
+}
+
+/**
+ * 📣 Cerrar el informe de una ejecución: resúmenes y notificación
+ *
+ * `notifyOn` sustituye a NOTIFY_ON salvo que este sea never (el webhook solo
+ * avisa de errores). Un fallo al guardar o notificar se muestra pero no
+ * cambia el resultado de la ejecución.
+ */
+export async function reportRun(run, { summaries = true, notify = null, notifyOn = null } = {}) {
+  const result = { files: null, notified: [] };
+  try {
+    result.files = summaries && run.file ? writeRunSummary(run) : null;
+    if (result.files) console.log(`📝 Resumen de la ejecución: ${result.files.markdown}`);
+
+    const config = notify || notifyConfigFromEnv();
+    const on = config.on === "never" ? "never" : notifyOn || config.on;
+    const wanted = on === "always" || (on === "errors" && runStatus(run) !== "ok");
+    if (!wanted || (!config.webhookUrl && !config.smtpUrl)) return result;
+
+    const { sent, errors } = await sendNotification(
+      {
+        subject: runSubject(run),
+        text: renderRunMarkdown(run),
+        html: renderRunHtml(run),
+        payload: { run: { ...run, products: run.products.slice(0, MAX_ROWS) } },
+      },
+      config
+    );
+    if (sent.length) console.log(`📣 Notificación enviada (${sent.join(", ")})`);
+    errors.forEach((message) => console.warn("⚠️ No se pudo notificar:", message));
+    result.notified = sent;
+  } catch (err) {
+    console.warn("⚠️ No se pudo completar el informe de la ejecución:", err.message);
+  }
+  return result;
+}
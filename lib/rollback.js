@@ -0,0 +1,178 @@
+// lib/rollback.js
+import { shopifyConfigFromEnv } from "./config.js";
+import { recordDryRun, writeDryRunReport } from "./dry-run.js";
+import { mapWithConcurrency } from "./pool.js";
+import { createShopifyClient } from "./shopify.js";
+import { createSnapshot, loadSnapshot } from "./snapshot.js";
+import { recordOwnUpdate } from "./sync-marker.js";
+import { batchConcurrencyFromEnv } from "./updater.js";
+
+// Lo que hay que escribir para volver al estado de la instantánea (null si ya está)
+function restorePayload(entry, current, only) {
+  const update = { id: current.id };
+
+  if (only !== "barcodes" && entry.body_html !== undefined && entry.body_html !== (current.body_html ?? "")) {
+    update.body_html = entry.body_html;
+  }
+
+  // SEO y metacampos (JSON-LD) van con las descripciones
+  if (only !== "barcodes" && entry.seo) {
+    const seo = Object.fromEntries(Object.entries(entry.seo).filter(([field, value]) => (current.seo?.[field] || "") !== value));
+    if (Object.keys(seo).length > 0) update.seo = seo;
+  }
+  if (only !== "barcodes" && entry.metafields) {
+    const metafields = entry.metafields.filter((saved) => {
+      const now = (current.metafields || []).find((m) => m.namespace === saved.namespace && m.key === saved.key);
+      return (now?.value ?? null) !== saved.value;
+    });
+    if (metafields.length > 0) update.metafields = metafields;
+  }
+
+  if (only !== "descriptions" && entry.variants) {
+    // Variantes borradas desde entonces no se pueden restaurar; el SKU va con
+    // los códigos de barras
+    const variants = entry.variants.flatMap((saved) => {
+      const now = current.variants.find((v) => v.id === saved.id);
+      if (!now) return [];
+      const restore = { id: saved.id };
+      if (saved.barcode !== undefined && (now.barcode || "") !== saved.barcode) restore.barcode = saved.barcode;
+      if (saved.sku !== undefined && (now.sku || "") !== saved.sku) restore.sku = saved.sku;
+      return Object.keys(restore).length > 1 ? [restore] : [];
+    });
+    if (variants.length > 0) update.variants = variants;
+  }
+
+  return update.body_html !== undefined || update.seo || update.metafields || update.variants ? update : null;
+}
+
+// Devolver las traducciones a lo guardado en la instantánea (borrarlas si no
+// existían). Se registran con el digest actual del original, el de la
+// descripción que queda tras restaurarla, no con el guardado.
+async function restoreTranslations(client, product, saved, { dryRun = false, undo = null } = {}) {
+  const restores = [];
+  for (const { locale, key, value } of saved) {
+    const now = (await client.fetchTranslations(product.id, locale))[key];
+    if (now && (now.translation ?? null) !== value) restores.push({ locale, key, value, before: now.translation, digest: now.digest });
+  }
+
+  const changed = restores.map(({ locale, before, value }) => ({ locale, before, after: value ?? "" }));
+  if (dryRun || restores.length === 0) return changed;
+
+  undo.record(product, { translations: restores.map(({ locale, key, before, digest }) => ({ locale, key, value: before, digest })) });
+  const register = restores.filter((t) => t.value !== null);
+  const remove = restores.filter((t) => t.value === null);
+  if (register.length > 0) await client.registerTranslations(product.id, register);
+  if (remove.length > 0) await client.removeTranslations(product.id, remove);
+  return changed;
+}
+
+/**
+ * ⏪ Restaurar descripciones y/o códigos de barras (y SKU) desde una instantánea
+ *
+ * `only` limita la restauración a "descriptions" (con el SEO, los
+ * metacampos escritos y las traducciones) o "barcodes" e `ids` a algunos
+ * productos. La propia restauración deja otra instantánea, así que también se
+ * puede deshacer. Los códigos retirados siguen en el registro y no se
+ * reasignan a otras variantes.
+ */
+export async function rollbackProducts({
+  snapshot = "latest",
+  only = null,
+  ids = [],
+  dryRun = false,
+  concurrency = batchConcurrencyFromEnv(),
+  confirm = null,
+} = {}) {
+  let client;
+  try {
+    client = createShopifyClient(shopifyConfigFromEnv());
+  } catch (err) {
+    console.error(err.message);
+    return { error: err.message };
+  }
+
+  try {
+    const source = loadSnapshot(snapshot);
+    const wanted = new Set(ids.map(String));
+    const entries = [...source.products.values()].filter((entry) => wanted.size === 0 || wanted.has(String(entry.id)));
+
+    console.log(`⏪ Instantánea ${source.id} (${source.header.createdAt || "?"}): ${entries.length} productos`);
+    if (dryRun) console.log("🧪 Modo DRY RUN: no se enviará ningún cambio a Shopify");
+
+    if (!dryRun && entries.length > 0 && confirm && !(await confirm({ shop: client.shop, count: entries.length }))) {
+      console.log("🚫 Cancelado, no se ha modificado nada");
+      return { cancelled: true, pending: entries.length };
+    }
+
+    const undo = dryRun ? null : createSnapshot({ label: "rollback", meta: { rollbackOf: source.id, only } });
+    const dryRunChanges = [];
+    let restored = 0;
+    let unchanged = 0;
+    let missing = 0;
+    let failed = 0;
+
+    await mapWithConcurrency(entries, concurrency, async (entry) => {
+      try {
+        const current = await client.fetchProduct(entry.id);
+        if (!current) {
+          console.warn(`⚠️ El producto ${entry.id} (${entry.title}) ya no existe`);
+          missing++;
+          return;
+        }
+
+        const update = restorePayload(entry, current, only);
+        const savedTranslations = only !== "barcodes" ? entry.translations || [] : [];
+
+        if (dryRun) {
+          const translations = await restoreTranslations(client, current, savedTranslations, { dryRun });
+          if (!update && translations.length === 0) {
+            console.log(`⏭️ Ya coincide con la instantánea: ${current.title}`);
+            unchanged++;
+            return;
+          }
+          recordDryRun(dryRunChanges, current, { product: update || { id: current.id } }, translations);
+          return;
+        }
+
+        if (update) {
+          undo.record(current, update);
+          const written = await client.updateProduct(update);
+          if (written) await recordOwnUpdate(written);
+        }
+
+        // Después de la descripción, que cambia el digest del original
+        const translations = await restoreTranslations(client, current, savedTranslations, { undo });
+        if (!update && translations.length === 0) {
+          console.log(`⏭️ Ya coincide con la instantánea: ${current.title}`);
+          unchanged++;
+          return;
+        }
+
+        console.log(`⏪ Restaurado: ${current.title}`);
+        restored++;
+      } catch (err) {
+        console.error(`❌ Error al restaurar ${entry.title}:`, err.message);
+        failed++;
+      }
+    });
+
+    if (dryRun) {
+      writeDryRunReport(dryRunChanges);
+      console.log(`\n🧪 Simulación completada!`);
+      console.log(`📦 Productos que se restaurarían: ${dryRunChanges.length}`);
+      console.log(`⏭️ Productos ya al día: ${unchanged}`);
+      return { dryRun: true, changes: dryRunChanges.length, unchanged, missing };
+    }
+
+    console.log(`\n⏪ Restauración completada!`);
+    console.log(`📦 Productos restaurados: ${restored}`);
+    console.log(`⏭️ Productos ya al día: ${unchanged}`);
+    if (missing > 0) console.log(`⚠️ Productos que ya no existen: ${missing}`);
+    if (failed > 0) console.log(`❌ Productos con error: ${failed}`);
+    if (undo.count > 0) console.log(`📸 Para deshacerlo: rollback --snapshot ${undo.id}`);
+    return { restored, unchanged, missing, failed, snapshot: undo.count > 0 ? undo.id : null };
+  } catch (e) {
+    console.error("❌ Error general:", e.message || e);
+    return { error: e.message || String(e) };
+  }
+}
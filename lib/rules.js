@@ -0,0 +1,103 @@
+// lib/rules.js
+import fs from "fs";
+import path from "path";
+import { currentEnv } from "./shops.js";
+import { parseTags } from "./tags.js";
+
+const cache = new Map();
+
+/**
+ * ⚙️ Ruta del archivo de reglas (TAG_RULES_PATH o config/tag-rules.json)
+ */
+export function tagRulesPathFromEnv(env = currentEnv()) {
+  return env.TAG_RULES_PATH || path.resolve("config", "tag-rules.json");
+}
+
+function normalizeList(values) {
+  return (values || []).map((v) => String(v).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * 🧩 Normalizar el bloque `match` de una regla (tags, productTypes, vendors)
+ */
+export function normalizeMatch(match, name, rulesPath) {
+  const normalized = {
+    tags: normalizeList(match?.tags),
+    productTypes: normalizeList(match?.productTypes),
+    vendors: normalizeList(match?.vendors),
+  };
+
+  if (!normalized.tags.length && !normalized.productTypes.length && !normalized.vendors.length) {
+    throw new Error(`La regla "${name}" no define tags, productTypes ni vendors (${rulesPath})`);
+  }
+  return normalized;
+}
+
+/**
+ * 🔎 Tag, tipo de producto o vendor por el que `match` aplica al producto, o null
+ */
+export function matchedBy(product, match) {
+  const tags = parseTags(product.tags);
+  const productType = String(product.product_type || "").trim().toLowerCase();
+  const vendor = String(product.vendor || "").trim().toLowerCase();
+
+  return (
+    match.tags.find((t) => tags.includes(t)) ||
+    (match.productTypes.includes(productType) && productType) ||
+    (match.vendors.includes(vendor) && vendor) ||
+    null
+  );
+}
+
+/**
+ * 📋 Cargar y validar las reglas tag/tipo/vendor → plantilla + categoría
+ *
+ * Las reglas se ordenan por `priority` (mayor primero); a igual prioridad
+ * gana la que aparece antes en el archivo.
+ */
+export function loadTagRules(rulesPath = tagRulesPathFromEnv()) {
+  if (cache.has(rulesPath)) return cache.get(rulesPath);
+
+  const { rules = [] } = JSON.parse(fs.readFileSync(rulesPath, "utf8"));
+
+  const normalized = rules.map((rule, index) => {
+    const name = rule.name || `rule-${index + 1}`;
+    const match = normalizeMatch(rule.match, name, rulesPath);
+
+    if (!rule.template || !rule.label) {
+      throw new Error(`La regla "${name}" necesita "template" y "label" (${rulesPath})`);
+    }
+
+    return {
+      name,
+      priority: Number(rule.priority) || 0,
+      order: index,
+      match,
+      template: rule.template,
+      label: rule.label,
+      labels: rule.labels || {},
+    };
+  });
+
+  normalized.sort((a, b) => b.priority - a.priority || a.order - b.order);
+  cache.set(rulesPath, normalized);
+  return normalized;
+}
+
+/**
+ * 🔎 Regla de mayor prioridad que aplica al producto, o null
+ *
+ * Devuelve `{ name, template, label, labels, matchedBy }`, donde `matchedBy`
+ * es el tag, tipo de producto o vendor que activó la regla y `labels` la
+ * etiqueta en otros idiomas (`{ "es": "tobogán acuático" }`).
+ */
+export function matchCategory(product, rules = loadTagRules()) {
+  for (const rule of rules) {
+    const matched = matchedBy(product, rule.match);
+    if (matched) {
+      return { name: rule.name, template: rule.template, label: rule.label, labels: rule.labels, matchedBy: matched };
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,89 @@
+// lib/run-log.js
+import fs from "fs";
+import path from "path";
+import { currentEnv } from "./shops.js";
+import { stateDirFromEnv } from "./store.js";
+
+/**
+ * ⚙️ Carpeta de los registros de ejecución (RUN_LOG_DIR o STATE_DIR/runs)
+ */
+export function runLogDirFromEnv(env = currentEnv()) {
+  return env.RUN_LOG_DIR || path.join(stateDirFromEnv(env), "runs");
+}
+
+/**
+ * 📒 Registro estructurado (JSONL) de una ejecución
+ *
+ * Una línea `start`, una `product` por producto (acción, códigos y SKU
+ * asignados, metacampos escritos, idiomas traducidos, error y duración) y
+ * una `end` con los totales. Todas llevan el id de la ejecución, así que
+ * varias pueden compartir archivo (`file`); con `dir: null` las líneas salen
+ * por consola, para entornos sin disco.
+ *
+ * `finish()` devuelve la ejecución completa, lista para `reportRun`.
+ */
+export function createRunLog({ kind, label = kind, meta = {}, dir = runLogDirFromEnv(), file = null } = {}) {
+  const startedAt = new Date().toISOString();
+  const id = `${startedAt.replace(/[:.]/g, "-")}-${label}`;
+  const target = dir ? path.join(dir, file || `${id}.jsonl`) : null;
+  const products = [];
+
+  const write = (line) => {
+    const json = JSON.stringify({ run: id, ...line });
+    if (!target) return console.log(json);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(target, `${json}\n`);
+  };
+
+  write({ type: "start", kind, label, startedAt, ...meta });
+
+  return {
+    id,
+    file: target,
+    /**
+     * Anotar el resultado de un producto: `action` es updated, unchanged,
+     * would-update (simulación), partial o failed; en los webhooks también
+     * duplicate (entrega repetida) o ignored (eco de una escritura propia)
+     */
+    product(
+      productId,
+      {
+        title,
+        action,
+        barcodes = [],
+        skus = [],
+        description = false,
+        seo = false,
+        metafields = [],
+        translations = [],
+        error = null,
+        durationMs = null,
+      }
+    ) {
+      const entry = { productId, title, action, barcodes, skus, description, durationMs };
+      if (seo) entry.seo = true;
+      if (metafields.length > 0) entry.metafields = metafields;
+      if (translations.length > 0) entry.translations = translations;
+      if (error) entry.error = error;
+      products.push(entry);
+      write({ type: "product", at: new Date().toISOString(), ...entry });
+    },
+    /**
+     * Cerrar la ejecución con totales extra (o `error` si se abortó)
+     */
+    finish(extra = {}) {
+      const finishedAt = new Date().toISOString();
+      const totals = { products: products.length, barcodes: 0, skus: 0 };
+      for (const entry of products) {
+        totals[entry.action] = (totals[entry.action] || 0) + 1;
+        totals.barcodes += entry.barcodes.length;
+        totals.skus += entry.skus.length;
+      }
+      Object.assign(totals, extra);
+
+      const durationMs = Date.parse(finishedAt) - Date.parse(startedAt);
+      write({ type: "end", finishedAt, durationMs, totals });
+      return { id, file: target, kind, label, meta, startedAt, finishedAt, durationMs, totals, products };
+    },
+  };
+}
@@ -0,0 +1,175 @@
+// lib/seo.js
+import fs from "fs";
+import path from "path";
+import Mustache from "mustache";
+import { buildTemplateContext } from "./description.js";
+import { currentEnv } from "./shops.js";
+
+/**
+ * ⚙️ Configuración por defecto del SEO y los datos estructurados
+ *
+ * `title` y `description` son plantillas Mustache (mismas variables que las
+ * de descripción, ver templates/README.md) que se recortan a `maxLength`
+ * caracteres. Con `overwrite: false` solo se rellenan si están vacíos, para
+ * no pisar el SEO escrito a mano. `jsonLd` guarda un Product de schema.org en
+ * el metacampo `namespace.key` (tipo json) para que el tema lo imprima.
+ */
+export const DEFAULT_SEO_CONFIG = {
+  enabled: true,
+  title: {
+    template: "{{title}} | Commercial Inflatable {{category.label}}",
+    maxLength: 70,
+    overwrite: false,
+  },
+  description: {
+    template:
+      "{{title}}: commercial-grade inflatable {{category.label}} built to last.{{#metafields.custom.dimensions}} Dimensions: {{.}}.{{/metafields.custom.dimensions}}{{#metafields.custom.warranty}} Warranty: {{.}}.{{/metafields.custom.warranty}}",
+    maxLength: 160,
+    overwrite: false,
+  },
+  jsonLd: {
+    enabled: true,
+    namespace: "custom",
+    key: "json_ld",
+    brand: null,
+    currency: "USD",
+  },
+};
+
+const cache = new Map();
+
+/**
+ * ⚙️ Ruta de la configuración de SEO (SEO_CONFIG_PATH o config/seo.json)
+ */
+export function seoConfigPathFromEnv(env = currentEnv()) {
+  return env.SEO_CONFIG_PATH || path.resolve("config", "seo.json");
+}
+
+/**
+ * 📋 Cargar la configuración de SEO (sin archivo, la de por defecto)
+ */
+export function loadSeoConfig(configPath = seoConfigPathFromEnv()) {
+  if (cache.has(configPath)) return cache.get(configPath);
+
+  const file = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, "utf8")) : {};
+  const config = {
+    enabled: file.enabled ?? DEFAULT_SEO_CONFIG.enabled,
+    title: { ...DEFAULT_SEO_CONFIG.title, ...file.title },
+    description: { ...DEFAULT_SEO_CONFIG.description, ...file.description },
+    jsonLd: { ...DEFAULT_SEO_CONFIG.jsonLd, ...file.jsonLd },
+  };
+  for (const field of ["title", "description"]) {
+    const { maxLength } = config[field];
+    if (!Number.isInteger(maxLength) || maxLength <= 1) {
+      throw new Error(`"${field}.maxLength" debe ser un entero mayor que 1 (${configPath})`);
+    }
+  }
+
+  cache.set(configPath, config);
+  return config;
+}
+
+/**
+ * ✂️ Recortar un texto a `maxLength` caracteres sin partir palabras (con …)
+ */
+export function truncateText(text, maxLength) {
+  const clean = String(text ?? "").replace(/\s+/g, " ").trim();
+  if (clean.length <= maxLength) return clean;
+
+  const cut = clean.slice(0, maxLength - 1);
+  const space = cut.lastIndexOf(" ");
+  return `${(space > maxLength / 2 ? cut.slice(0, space) : cut).replace(/[\s.,;:|–-]+$/, "")}…`;
+}
+
+// Plantilla → texto plano: sin escapar HTML (no es marcado) y sin etiquetas
+function renderText(template, context) {
+  const text = Mustache.render(template, context, {}, { escape: (value) => String(value) });
+  return text.replace(/<[^>]*>/g, " ");
+}
+
+/**
+ * 🔎 Título y meta descripción generados para un producto
+ */
+export function buildSeo(product, { metafields = [], category, config = loadSeoConfig() }) {
+  const context = buildTemplateContext(product, { metafields, category });
+  return {
+    title: truncateText(renderText(config.title.template, context), config.title.maxLength),
+    description: truncateText(renderText(config.description.template, context), config.description.maxLength),
+  };
+}
+
+// Propiedad de schema.org según la longitud del GTIN (gtin8, gtin12, gtin13, gtin14)
+function gtinProperty(barcode) {
+  const code = String(barcode || "");
+  return /^\d+$/.test(code) && [8, 12, 13, 14].includes(code.length) ? { [`gtin${code.length}`]: code } : {};
+}
+
+/**
+ * 🧾 Product de schema.org (JSON-LD) con el GTIN de cada variante
+ *
+ * `variants` son las variantes tal y como quedan tras asignar códigos y SKU.
+ */
+export function buildProductJsonLd(product, { variants = product.variants, description, config = loadSeoConfig() }) {
+  const brand = config.jsonLd.brand || product.vendor;
+  const offers = variants.map((variant) => ({
+    "@type": "Offer",
+    ...(variant.sku && { sku: variant.sku }),
+    ...gtinProperty(variant.barcode),
+    price: String(variant.price ?? ""),
+    priceCurrency: config.jsonLd.currency,
+    ...(variants.length > 1 && variant.title && { name: variant.title }),
+  }));
+
+  const [first] = variants;
+  return {
+    "@context": "https://schema.org",
+    "@type": "Product",
+    name: product.title,
+    ...(description && { description }),
+    ...(brand && { brand: { "@type": "Brand", name: brand } }),
+    ...(variants.length === 1 && first.sku && { sku: first.sku }),
+    ...(variants.length === 1 && gtinProperty(first.barcode)),
+    offers: offers.length === 1 ? offers[0] : offers,
+  };
+}
+
+// Mismo JSON aunque Shopify lo devuelva con otro formato
+function sameJson(current, value) {
+  try {
+    return JSON.stringify(JSON.parse(current)) === JSON.stringify(value);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 📝 Cambios de SEO y JSON-LD para un producto, o null si ya está al día
+ *
+ * Devuelve `{ seo?: { title?, description? }, metafields?: [...] }`, listo
+ * para mezclar en el payload de `updateProduct`. `product.seo` es el SEO
+ * actual; el JSON-LD actual se busca en `metafields`.
+ */
+export function seoUpdate(product, { metafields = [], category, variants = product.variants, config = loadSeoConfig() }) {
+  const generated = buildSeo(product, { metafields, category, config });
+  const update = {};
+
+  const seo = {};
+  for (const field of ["title", "description"]) {
+    const current = product.seo?.[field] || "";
+    if (current === generated[field] || (current && !config[field].overwrite)) continue;
+    seo[field] = generated[field];
+  }
+  if (Object.keys(seo).length > 0) update.seo = seo;
+
+  if (config.jsonLd.enabled) {
+    const { namespace, key } = config.jsonLd;
+    const description = seo.description ?? (product.seo?.description || generated.description);
+    const value = buildProductJsonLd(product, { variants, description, config });
+    const current = metafields.find((m) => m.namespace === namespace && m.key === key)?.value;
+    if (!current || !sameJson(current, value)) {
+      update.metafields = [{ namespace, key, type: "json", value: JSON.stringify(value) }];
+    }
+  }
+
+  return Object.keys(update).length > 0 ? update : null;
+}
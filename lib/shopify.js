@@ -0,0 +1,721 @@
+// lib/shopify.js
+import fetch from "node-fetch";
+import { DEFAULT_API_VERSION } from "./config.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Coste estimado de una consulta GraphQL que aún no hemos ejecutado
+const DEFAULT_QUERY_COST = 50;
+
+// Espera entre consultas del estado de una operación masiva
+const BULK_POLL_MS = 2000;
+const BULK_POLL_MAX_MS = 10000;
+
+// Tiempo máximo de espera de la respuesta (SHOPIFY_TIMEOUT_MS)
+const DEFAULT_TIMEOUT_MS = Number(process.env.SHOPIFY_TIMEOUT_MS) || 30000;
+
+// Backoff exponencial para 5xx y errores de red
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 30000;
+
+// Los 429 y THROTTLED no consumen reintentos, pero tampoco se esperan indefinidamente
+const MAX_THROTTLE_WAITS = 20;
+
+/**
+ * ❌ Error de la Admin API con todo lo que devolvió Shopify
+ */
+export class ShopifyError extends Error {
+  constructor(message, { status = null, url = null, body = null, errors = null, userErrors = null, requestId = null, retryable = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "ShopifyError";
+    this.status = status;
+    this.url = url;
+    this.body = body;
+    this.errors = errors;
+    this.userErrors = userErrors;
+    this.requestId = requestId;
+    this.retryable = retryable;
+  }
+}
+
+async function errorFromResponse(res, url) {
+  const body = await res.text();
+  let errors = null;
+  try {
+    errors = JSON.parse(body).errors ?? null;
+  } catch {
+    // cuerpo no JSON (p. ej. página de error HTML)
+  }
+
+  return new ShopifyError(`${res.status} ${res.statusText}${body ? `: ${body}` : ""}`, {
+    status: res.status,
+    url,
+    body,
+    errors,
+    requestId: res.headers.get("X-Request-Id"),
+    retryable: res.status === 429 || res.status >= 500,
+  });
+}
+
+/**
+ * ⏱️ Espera con backoff exponencial y jitter para el intento `attempt` (1, 2, …)
+ */
+export function backoffDelay(attempt) {
+  const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+// Cubo de llamadas REST por tienda según X-Shopify-Shop-Api-Call-Limit ("32/40")
+const buckets = new Map();
+
+function observeCallLimit(host, header) {
+  const match = /^(\d+)\/(\d+)$/.exec(header || "");
+  if (!match) return;
+  const limit = Number(match[2]);
+  // El cubo se vacía a limit/20 llamadas por segundo (40 → 2/s, 400 → 20/s)
+  buckets.set(host, { used: Number(match[1]), limit, leakRate: limit / 20, observedAt: Date.now() });
+}
+
+async function paceRequest(host) {
+  const bucket = buckets.get(host);
+  if (!bucket) return;
+
+  const drained = ((Date.now() - bucket.observedAt) / 1000) * bucket.leakRate;
+  const free = bucket.limit - Math.max(0, bucket.used - drained);
+  const margin = Math.max(2, Math.ceil(bucket.limit * 0.1));
+  if (free >= margin) return;
+
+  const waitMs = Math.ceil(((margin - free) / bucket.leakRate) * 1000);
+  console.warn(`⏳ Cubo de llamadas casi lleno (${bucket.used}/${bucket.limit}). Esperando ${waitMs}ms...`);
+  await sleep(waitMs);
+}
+
+async function fetchWithTimeout(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Helper para requests con control de ritmo, reintentos y errores estructurados
+ *
+ * - Lee X-Shopify-Shop-Api-Call-Limit (API REST) y espera antes de llenar el
+ *   cubo; las consultas GraphQL no lo traen, su ritmo lo controla el cliente
+ *   con el presupuesto de coste (`waitForBudget`)
+ * - 429: espera Retry-After sin gastar reintentos
+ * - 5xx, errores de red y timeouts: backoff exponencial con jitter
+ * - Otros errores: ShopifyError con el cuerpo de la respuesta
+ */
+export async function shopifyFetch(url, options = {}, retries = 5) {
+  const { timeoutMs = DEFAULT_TIMEOUT_MS, ...fetchOptions } = options;
+  const host = new URL(url).host;
+  let failures = 0;
+  let throttled = 0;
+
+  for (;;) {
+    await paceRequest(host);
+
+    let res;
+    try {
+      res = await fetchWithTimeout(url, fetchOptions, timeoutMs);
+    } catch (error) {
+      failures++;
+      const reason = error.name === "AbortError" ? `timeout tras ${timeoutMs}ms` : error.message;
+      if (failures >= retries) {
+        throw new ShopifyError(`❌ Fallaron ${retries} intentos para ${url}: ${reason}`, { url, retryable: true, cause: error });
+      }
+      const delay = backoffDelay(failures);
+      console.warn(`⚠️ Error de red (${failures}/${retries}): ${reason}. Reintentando en ${delay}ms...`);
+      await sleep(delay);
+      continue;
+    }
+
+    observeCallLimit(host, res.headers.get("X-Shopify-Shop-Api-Call-Limit"));
+
+    if (res.status === 429) {
+      throttled++;
+      if (throttled > MAX_THROTTLE_WAITS) throw await errorFromResponse(res, url);
+
+      // Demasiadas peticiones → esperar el tiempo recomendado
+      const retryAfter = parseFloat(res.headers.get("Retry-After") || "2");
+      console.warn(`⏳ Rate limit alcanzado. Reintentando en ${retryAfter}s...`);
+      await sleep(retryAfter * 1000);
+      continue;
+    }
+
+    if (res.status >= 500) {
+      failures++;
+      if (failures >= retries) throw await errorFromResponse(res, url);
+      const delay = backoffDelay(failures);
+      console.warn(`⚠️ Shopify respondió ${res.status} (${failures}/${retries}). Reintentando en ${delay}ms...`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (!res.ok) {
+      throw await errorFromResponse(res, url);
+    }
+
+    return res;
+  }
+}
+
+/**
+ * 🆔 ID numérico → GID de GraphQL (gid://shopify/Product/123)
+ */
+export function toGid(type, id) {
+  return String(id).startsWith("gid://") ? String(id) : `gid://shopify/${type}/${id}`;
+}
+
+/**
+ * 🆔 GID de GraphQL → ID numérico (el mismo que usan los webhooks)
+ */
+export function fromGid(gid) {
+  return Number(String(gid).split("/").pop());
+}
+
+const VARIANT_FIELDS = "id title sku barcode price selectedOptions { name value }";
+const METAFIELD_FIELDS = "id namespace key value type";
+const PRODUCT_FIELDS = "id title handle vendor productType status tags descriptionHtml createdAt seo { title description }";
+
+const PRODUCT_FRAGMENT = `
+  fragment ProductFields on Product {
+    ${PRODUCT_FIELDS}
+    variants(first: 250) { edges { node { ${VARIANT_FIELDS} } } }
+    metafields(first: 100) { edges { node { ${METAFIELD_FIELDS} } } }
+  }
+`;
+
+// En las operaciones masivas las conexiones anidadas van sin paginar
+const bulkProductsQuery = (search) => `
+  {
+    products${search ? `(query: ${JSON.stringify(search)})` : ""} {
+      edges {
+        node {
+          ${PRODUCT_FIELDS}
+          variants { edges { node { ${VARIANT_FIELDS} } } }
+          metafields { edges { node { ${METAFIELD_FIELDS} } } }
+        }
+      }
+    }
+  }
+`;
+
+function normalizeVariant(node) {
+  const options = (node.selectedOptions || []).map((o) => o.value);
+  return {
+    id: fromGid(node.id),
+    title: node.title,
+    sku: node.sku || "",
+    barcode: node.barcode || "",
+    price: node.price,
+    option1: options[0] ?? null,
+    option2: options[1] ?? null,
+    option3: options[2] ?? null,
+  };
+}
+
+function normalizeMetafield(node) {
+  return { namespace: node.namespace, key: node.key, value: node.value, type: node.type };
+}
+
+/**
+ * 📦 Producto de GraphQL → la misma forma que los webhooks (REST)
+ */
+export function normalizeProduct(node, { variants, metafields } = {}) {
+  return {
+    id: fromGid(node.id),
+    title: node.title,
+    handle: node.handle,
+    vendor: node.vendor,
+    product_type: node.productType,
+    status: String(node.status || "").toLowerCase(),
+    tags: (node.tags || []).join(", "),
+    body_html: node.descriptionHtml || "",
+    created_at: node.createdAt,
+    seo: { title: node.seo?.title || "", description: node.seo?.description || "" },
+    variants: variants ?? (node.variants?.edges || []).map((e) => normalizeVariant(e.node)),
+    metafields: metafields ?? (node.metafields?.edges || []).map((e) => normalizeMetafield(e.node)),
+  };
+}
+
+/**
+ * 🧩 Reconstruir productos a partir del JSONL de una operación masiva
+ *
+ * Variantes y metacampos llegan en líneas propias con `__parentId`.
+ */
+export function assembleBulkProducts(lines) {
+  const products = new Map();
+  const children = [];
+
+  for (const line of lines) {
+    if (line.__parentId) children.push(line);
+    else products.set(line.id, { node: line, variants: [], metafields: [] });
+  }
+
+  for (const child of children) {
+    const parent = products.get(child.__parentId);
+    if (!parent) continue;
+    if (child.id?.includes("/ProductVariant/")) parent.variants.push(normalizeVariant(child));
+    else parent.metafields.push(normalizeMetafield(child));
+  }
+
+  return [...products.values()].map(({ node, variants, metafields }) =>
+    normalizeProduct(node, { variants, metafields })
+  );
+}
+
+function userErrorsToError(operation, userErrors) {
+  return new ShopifyError(`${operation}: ${userErrors.map((e) => e.message).join("; ")}`, { userErrors });
+}
+
+/**
+ * 🛍️ Cliente de la Admin API (GraphQL) de Shopify para una tienda
+ *
+ * `apiUrl` sustituye a https://<shop> como origen de las llamadas.
+ */
+export function createShopifyClient({ shop, token, apiVersion = DEFAULT_API_VERSION, apiUrl = null }) {
+  if (!shop || !token) {
+    throw new Error("❌ Faltan las variables de entorno de Shopify.");
+  }
+
+  const baseUrl = `${(apiUrl || `https://${shop}`).replace(/\/+$/, "")}/admin/api/${apiVersion}`;
+  const headers = { "X-Shopify-Access-Token": token, "Content-Type": "application/json" };
+
+  const request = (pathOrUrl, options = {}) =>
+    shopifyFetch(/^https?:\/\//.test(pathOrUrl) ? pathOrUrl : `${baseUrl}${pathOrUrl}`, {
+      ...options,
+      headers: { ...headers, ...options.headers },
+    });
+
+  // Presupuesto de coste GraphQL según el último throttleStatus recibido
+  const throttle = { available: null, maximum: null, restoreRate: 50, observedAt: 0 };
+  const queryCosts = new Map();
+
+  // Puntos disponibles ahora, contando lo recuperado desde la última lectura
+  function currentBudget() {
+    const restored = ((Date.now() - throttle.observedAt) / 1000) * throttle.restoreRate;
+    return Math.min(throttle.maximum ?? Infinity, throttle.available + restored);
+  }
+
+  // Espera hasta tener `cost` puntos y los reserva para las consultas concurrentes
+  async function waitForBudget(cost) {
+    if (throttle.available === null) return;
+
+    const available = currentBudget();
+    if (available < cost) {
+      const waitMs = Math.ceil(((cost - available) / throttle.restoreRate) * 1000);
+      console.warn(`⏳ Presupuesto GraphQL bajo (${Math.floor(available)}/${throttle.maximum}). Esperando ${waitMs}ms...`);
+      await sleep(waitMs);
+    }
+
+    throttle.available = currentBudget() - cost;
+    throttle.observedAt = Date.now();
+  }
+
+  function updateBudget(cost) {
+    const status = cost?.throttleStatus;
+    if (!status) return;
+    throttle.available = status.currentlyAvailable;
+    throttle.maximum = status.maximumAvailable;
+    throttle.restoreRate = status.restoreRate || throttle.restoreRate;
+    throttle.observedAt = Date.now();
+  }
+
+  /**
+   * 🧬 Consulta GraphQL respetando el presupuesto de coste
+   *
+   * Antes de enviar espera lo necesario para tener el coste estimado; si aun
+   * así Shopify responde THROTTLED, espera a recuperarlo y reintenta sin
+   * gastar reintentos (hasta MAX_THROTTLE_WAITS esperas). Los errores
+   * INTERNAL_SERVER_ERROR se reintentan con backoff hasta `retries` veces.
+   */
+  async function graphql(query, variables = {}, retries = 5) {
+    let failures = 0;
+    let throttled = 0;
+
+    for (;;) {
+      const estimated = queryCosts.get(query) || DEFAULT_QUERY_COST;
+      await waitForBudget(estimated);
+
+      const res = await request("/graphql.json", {
+        method: "POST",
+        body: JSON.stringify({ query, variables }),
+      });
+      const { data, errors, extensions } = await res.json();
+
+      updateBudget(extensions?.cost);
+      if (extensions?.cost?.requestedQueryCost) {
+        queryCosts.set(query, extensions.cost.requestedQueryCost);
+      }
+
+      if (errors?.some((e) => e.extensions?.code === "THROTTLED") && throttled < MAX_THROTTLE_WAITS) {
+        throttled++;
+        const needed = extensions?.cost?.requestedQueryCost || estimated;
+        throttle.available = Math.min(throttle.available ?? 0, needed - 1);
+        throttle.observedAt = Date.now();
+        continue;
+      }
+
+      // Error interno transitorio de Shopify: mismo backoff que un 5xx
+      if (errors?.some((e) => e.extensions?.code === "INTERNAL_SERVER_ERROR") && ++failures < retries) {
+        await sleep(backoffDelay(failures));
+        continue;
+      }
+
+      if (errors?.length) {
+        throw new ShopifyError(`GraphQL: ${errors.map((e) => e.message).join("; ")}`, {
+          errors,
+          requestId: res.headers.get("X-Request-Id"),
+          retryable: errors.some((e) => ["THROTTLED", "INTERNAL_SERVER_ERROR"].includes(e.extensions?.code)),
+        });
+      }
+      return data;
+    }
+  }
+
+  /**
+   * 📦 Ejecutar una operación masiva y devolver sus líneas JSONL
+   */
+  async function runBulkQuery(bulkQuery) {
+    const data = await graphql(
+      `mutation BulkRunQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation { id status }
+          userErrors { field message }
+        }
+      }`,
+      { query: bulkQuery }
+    );
+
+    const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+    if (userErrors?.length) throw userErrorsToError("bulkOperationRunQuery", userErrors);
+
+    let delay = BULK_POLL_MS;
+    let operation;
+    for (;;) {
+      await sleep(delay);
+      const status = await graphql(
+        `query BulkOperationStatus($id: ID!) {
+          node(id: $id) { ... on BulkOperation { id status errorCode objectCount url } }
+        }`,
+        { id: bulkOperation.id }
+      );
+      operation = status.node;
+
+      if (operation.status === "COMPLETED") break;
+      if (["FAILED", "CANCELED", "EXPIRED"].includes(operation.status)) {
+        throw new Error(`Operación masiva ${operation.status}${operation.errorCode ? ` (${operation.errorCode})` : ""}`);
+      }
+      console.log(`⏳ Operación masiva ${operation.status}: ${operation.objectCount} objetos...`);
+      delay = Math.min(delay * 1.5, BULK_POLL_MAX_MS);
+    }
+
+    // Sin resultados Shopify no genera archivo
+    if (!operation.url) return [];
+
+    const res = await shopifyFetch(operation.url);
+    const text = await res.text();
+    return text
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  }
+
+  return {
+    shop,
+    apiVersion,
+    request,
+    graphql,
+    runBulkQuery,
+
+    /**
+     * 🔄 Obtener TODOS los productos con variantes y metacampos
+     *
+     * Usa una operación masiva; si ya hay otra en curso para la app, pagina
+     * la consulta normal. `query` es una búsqueda de la Admin API
+     * (p. ej. `vendor:"Acme" AND status:active`).
+     */
+    async fetchAllProducts({ bulk = true, query = null } = {}) {
+      if (bulk) {
+        try {
+          return assembleBulkProducts(await runBulkQuery(bulkProductsQuery(query)));
+        } catch (err) {
+          if (!err.userErrors?.some((e) => /already in progress/i.test(e.message))) throw err;
+          console.warn("⚠️ Ya hay una operación masiva en curso, se usa la paginación normal");
+        }
+      }
+
+      let allProducts = [];
+      let after = null;
+      do {
+        const data = await graphql(
+          `query ProductsPage($after: String, $query: String) {
+            products(first: 50, after: $after, query: $query) {
+              edges { node { ...ProductFields } }
+              pageInfo { hasNextPage endCursor }
+            }
+          }
+          ${PRODUCT_FRAGMENT}`,
+          { after, query }
+        );
+        allProducts = allProducts.concat(data.products.edges.map((e) => normalizeProduct(e.node)));
+        after = data.products.pageInfo.hasNextPage ? data.products.pageInfo.endCursor : null;
+      } while (after);
+
+      return allProducts;
+    },
+
+    /**
+     * 📦 Un producto por ID (null si ya no existe)
+     */
+    async fetchProduct(productId) {
+      const data = await graphql(
+        `query Product($id: ID!) { product(id: $id) { ...ProductFields } }
+        ${PRODUCT_FRAGMENT}`,
+        { id: toGid("Product", productId) }
+      );
+      return data.product ? normalizeProduct(data.product) : null;
+    },
+
+    /**
+     * 🗂️ ID numérico de una colección a partir de su handle (null si no existe)
+     */
+    async findCollectionId(handle) {
+      const data = await graphql(
+        "query CollectionByHandle($q: String!) { collections(first: 1, query: $q) { edges { node { id handle } } } }",
+        { q: `handle:${JSON.stringify(handle)}` }
+      );
+      const node = data.collections.edges.find((e) => e.node.handle === handle)?.node;
+      return node ? fromGid(node.id) : null;
+    },
+
+    /**
+     * 🔍 Metacampos de un producto
+     */
+    async fetchMetafields(productId) {
+      const data = await graphql(
+        `query ProductMetafields($id: ID!) {
+          product(id: $id) { metafields(first: 100) { edges { node { ${METAFIELD_FIELDS} } } } }
+        }`,
+        { id: toGid("Product", productId) }
+      );
+      return (data.product?.metafields.edges || []).map((e) => normalizeMetafield(e.node));
+    },
+
+    /**
+     * ✏️ Actualizar un producto (descripción, SEO, metacampos y/o variantes)
+     *
+     * Acepta el payload de siempre `{ id, body_html, variants: [{ id, barcode, sku }] }`
+     * más `seo: { title, description }` y `metafields: [{ namespace, key, type, value }]`
+     * (con `value: null` el metacampo se borra). Devuelve el producto
+     * resultante normalizado.
+     *
+     * Las variantes van en la última mutación: si falla otra antes, no se ha
+     * escrito ningún código ni SKU. Si fallan las variantes después de escribir
+     * el resto, el error lleva en `written` el producto que sí quedó en Shopify.
+     */
+    async updateProduct(product) {
+      let updated = null;
+
+      const metafields = (product.metafields || []).filter((m) => m.value !== null);
+      const removed = (product.metafields || []).filter((m) => m.value === null);
+      if (removed.length > 0) await this.deleteMetafields(product.id, removed);
+
+      if (product.body_html !== undefined || product.seo || metafields.length > 0) {
+        const input = { id: toGid("Product", product.id) };
+        if (product.body_html !== undefined) input.descriptionHtml = product.body_html;
+        if (product.seo) input.seo = product.seo;
+        if (metafields.length > 0) {
+          input.metafields = metafields.map(({ namespace, key, type, value }) => ({ namespace, key, type, value }));
+        }
+
+        const data = await graphql(
+          `mutation ProductUpdate($product: ProductUpdateInput!) {
+            productUpdate(product: $product) {
+              product { ...ProductFields }
+              userErrors { field message }
+            }
+          }
+          ${PRODUCT_FRAGMENT}`,
+          { product: input }
+        );
+        const { product: result, userErrors } = data.productUpdate;
+        if (userErrors?.length) throw userErrorsToError("productUpdate", userErrors);
+        updated = normalizeProduct(result);
+      }
+
+      if (product.variants?.length) {
+        try {
+          updated = await this.updateVariants(product.id, product.variants);
+        } catch (err) {
+          err.written = updated;
+          throw err;
+        }
+      }
+
+      return updated;
+    },
+
+    /**
+     * 🗑️ Borrar metacampos de un producto: `[{ namespace, key }]`
+     */
+    async deleteMetafields(productId, metafields) {
+      const data = await graphql(
+        `mutation MetafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+          metafieldsDelete(metafields: $metafields) {
+            deletedMetafields { key namespace }
+            userErrors { field message }
+          }
+        }`,
+        { metafields: metafields.map(({ namespace, key }) => ({ ownerId: toGid("Product", productId), namespace, key })) }
+      );
+      const { userErrors } = data.metafieldsDelete;
+      if (userErrors?.length) throw userErrorsToError("metafieldsDelete", userErrors);
+    },
+
+    /**
+     * ✏️ Actualizar variantes de un producto en una sola mutación
+     *
+     * El SKU vive en el inventory item: `sku` se envía como `inventoryItem.sku`.
+     */
+    async updateVariants(productId, variants) {
+      const data = await graphql(
+        `mutation VariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+          productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+            product { ...ProductFields }
+            userErrors { field message }
+          }
+        }
+        ${PRODUCT_FRAGMENT}`,
+        {
+          productId: toGid("Product", productId),
+          variants: variants.map(({ id, sku, ...fields }) => ({
+            id: toGid("ProductVariant", id),
+            ...fields,
+            ...(sku !== undefined && { inventoryItem: { ...fields.inventoryItem, sku } }),
+          })),
+        }
+      );
+      const { product, userErrors } = data.productVariantsBulkUpdate;
+      if (userErrors?.length) throw userErrorsToError("productVariantsBulkUpdate", userErrors);
+      return product ? normalizeProduct(product) : null;
+    },
+
+    /**
+     * ✏️ Actualizar una sola variante
+     */
+    async updateVariant(productId, variant) {
+      return this.updateVariants(productId, [variant]);
+    },
+
+    /**
+     * 🔍 Verificar si un código de barras ya existe en alguna variante
+     */
+    async barcodeExists(barcode) {
+      const data = await graphql(
+        "query BarcodeExists($q: String!) { productVariants(first: 1, query: $q) { edges { node { id } } } }",
+        { q: `barcode:${barcode}` }
+      );
+      return (data?.productVariants?.edges || []).length > 0;
+    },
+
+    /**
+     * 🔍 Verificar si un SKU ya existe en alguna variante
+     */
+    async skuExists(sku) {
+      const data = await graphql(
+        "query SkuExists($q: String!) { productVariants(first: 1, query: $q) { edges { node { id } } } }",
+        { q: `sku:${JSON.stringify(sku)}` }
+      );
+      return (data?.productVariants?.edges || []).length > 0;
+    },
+
+    /**
+     * 🌐 Idiomas publicados de la tienda: `[{ locale, primary }]`
+     */
+    async fetchShopLocales() {
+      const data = await graphql("query ShopLocales { shopLocales(published: true) { locale primary } }");
+      return data.shopLocales.map(({ locale, primary }) => ({ locale, primary }));
+    },
+
+    /**
+     * 🌐 Contenido traducible de un producto y su traducción a `locale`
+     *
+     * Devuelve `{ [clave]: { value, digest, translation, outdated } }` (title,
+     * body_html…); `digest` identifica la versión del original que se traduce.
+     */
+    async fetchTranslations(productId, locale) {
+      const data = await graphql(
+        `query TranslatableResource($id: ID!, $locale: String!) {
+          translatableResource(resourceId: $id) {
+            translatableContent { key value digest }
+            translations(locale: $locale) { key value outdated }
+          }
+        }`,
+        { id: toGid("Product", productId), locale }
+      );
+      const resource = data.translatableResource;
+      if (!resource) return {};
+
+      const translations = new Map(resource.translations.map((t) => [t.key, t]));
+      return Object.fromEntries(
+        resource.translatableContent.map(({ key, value, digest }) => [
+          key,
+          { value, digest, translation: translations.get(key)?.value ?? null, outdated: !!translations.get(key)?.outdated },
+        ])
+      );
+    },
+
+    /**
+     * 🌐 Registrar traducciones de un producto: `[{ locale, key, value, digest }]`
+     */
+    async registerTranslations(productId, translations) {
+      const data = await graphql(
+        `mutation TranslationsRegister($resourceId: ID!, $translations: [TranslationInput!]!) {
+          translationsRegister(resourceId: $resourceId, translations: $translations) {
+            translations { key locale }
+            userErrors { field message }
+          }
+        }`,
+        {
+          resourceId: toGid("Product", productId),
+          translations: translations.map(({ locale, key, value, digest }) => ({
+            locale,
+            key,
+            value,
+            translatableContentDigest: digest,
+          })),
+        }
+      );
+      const { translations: registered, userErrors } = data.translationsRegister;
+      if (userErrors?.length) throw userErrorsToError("translationsRegister", userErrors);
+      return registered;
+    },
+
+    /**
+     * 🗑️ Borrar traducciones de un producto: `[{ locale, key }]`
+     */
+    async removeTranslations(productId, translations) {
+      const data = await graphql(
+        `mutation TranslationsRemove($resourceId: ID!, $translationKeys: [String!]!, $locales: [String!]!) {
+          translationsRemove(resourceId: $resourceId, translationKeys: $translationKeys, locales: $locales) {
+            translations { key locale }
+            userErrors { field message }
+          }
+        }`,
+        {
+          resourceId: toGid("Product", productId),
+          translationKeys: [...new Set(translations.map((t) => t.key))],
+          locales: [...new Set(translations.map((t) => t.locale))],
+        }
+      );
+      const { userErrors } = data.translationsRemove;
+      if (userErrors?.length) throw userErrorsToError("translationsRemove", userErrors);
+    },
+  };
+}
@@ -0,0 +1,148 @@
+// lib/shops.js
+import { AsyncLocalStorage } from "async_hooks";
+import fs from "fs";
+import path from "path";
+
+const cache = new Map();
+const scope = new AsyncLocalStorage();
+
+// Ajuste de config/shops.json → variable de entorno que lo sustituye
+const PATH_SETTINGS = {
+  templatesDir: "DESCRIPTION_TEMPLATES_DIR",
+  tagRulesPath: "TAG_RULES_PATH",
+  barcodeRulesPath: "BARCODE_RULES_PATH",
+  barcodeRegistryPath: "BARCODE_REGISTRY_PATH",
+  skuConfigPath: "SKU_CONFIG_PATH",
+  seoConfigPath: "SEO_CONFIG_PATH",
+};
+
+const splitList = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+
+/**
+ * ⚙️ Ruta del registro de tiendas (SHOPS_CONFIG_PATH o config/shops.json)
+ */
+export function shopsConfigPathFromEnv(env = process.env) {
+  return env.SHOPS_CONFIG_PATH || path.resolve("config", "shops.json");
+}
+
+/**
+ * 🏪 Cargar el registro de tiendas, por dominio *.myshopify.com
+ *
+ * Sin archivo el Map está vacío y todo sale del entorno (SHOPIFY_SHOP…), como
+ * con una sola tienda. Los tokens y secretos conviene darlos por el nombre de
+ * la variable que los contiene (`tokenEnv`, `webhookSecretEnv`) para no
+ * guardarlos en el repositorio.
+ */
+export function loadShops(configPath = shopsConfigPathFromEnv()) {
+  if (cache.has(configPath)) return cache.get(configPath);
+
+  const shops = new Map();
+  if (fs.existsSync(configPath)) {
+    const file = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    for (const [domain, settings] of Object.entries(file.shops || {})) {
+      const key = domain.trim().toLowerCase();
+      if (!/^[a-z0-9][a-z0-9-]*\.myshopify\.com$/.test(key)) {
+        throw new Error(`Dominio de tienda inválido "${domain}" en ${configPath} (usa <tienda>.myshopify.com)`);
+      }
+      shops.set(key, { domain: key, ...settings });
+    }
+  }
+
+  cache.set(configPath, shops);
+  return shops;
+}
+
+/**
+ * 🔧 Entorno de una tienda: el global con sus ajustes encima
+ *
+ * Cada tienda guarda su estado en STATE_DIR/<dominio> (o `stateDir`). El
+ * registro de códigos se comparte salvo que se indique otro: con el mismo
+ * prefijo GS1 los códigos tienen que ser únicos entre tiendas. Lanza un Error
+ * si la tienda declara `webhookSecrets`/`webhookSecretEnv` y no hay ninguno.
+ */
+export function shopEnv(shop, base = process.env) {
+  const env = { ...base, SHOPIFY_SHOP: shop.domain, SHOPIFY_ALLOWED_SHOPS: shop.domain };
+
+  // El token global solo vale para la tienda de SHOPIFY_SHOP
+  const ownsGlobal = String(base.SHOPIFY_SHOP || "").toLowerCase() === shop.domain;
+  env.SHOPIFY_ADMIN_TOKEN = shop.token || (shop.tokenEnv ? base[shop.tokenEnv] : ownsGlobal ? base.SHOPIFY_ADMIN_TOKEN : undefined);
+
+  // Una tienda que declara su secreto nunca queda sin verificar ni usa el global
+  const secrets = [...splitList(shop.webhookSecrets), ...splitList(shop.webhookSecretEnv && base[shop.webhookSecretEnv])];
+  if (shop.webhookSecrets || shop.webhookSecretEnv) {
+    if (secrets.length === 0) {
+      const source = shop.webhookSecretEnv ? `la variable ${shop.webhookSecretEnv} está vacía` : "webhookSecrets está vacío";
+      throw new Error(`Tienda ${shop.domain} sin secreto de webhook: ${source}`);
+    }
+    env.SHOPIFY_WEBHOOK_SECRETS = secrets.join(",");
+    env.SHOPIFY_WEBHOOK_SECRET = "";
+  }
+
+  if (shop.apiVersion) env.SHOPIFY_API_VERSION = shop.apiVersion;
+  if (shop.apiUrl) env.SHOPIFY_API_URL = shop.apiUrl;
+  if (shop.barcodePrefix) env.BARCODE_PREFIX = String(shop.barcodePrefix);
+  for (const [setting, name] of Object.entries(PATH_SETTINGS)) {
+    if (shop[setting]) env[name] = path.resolve(shop[setting]);
+  }
+
+  env.STATE_DIR = path.resolve(shop.stateDir || path.join(base.STATE_DIR || path.resolve("data"), shop.domain));
+  env.STATE_NAMESPACE = shop.domain;
+  return { ...env, ...shop.env };
+}
+
+/**
+ * 🏪 Dominio de la tienda en curso (null fuera de `runWithShop`)
+ */
+export function currentShop() {
+  return scope.getStore()?.domain ?? null;
+}
+
+/**
+ * 🌍 Entorno de la tienda en curso, o process.env
+ *
+ * Es el valor por defecto de todos los `*FromEnv()`: dentro de `runWithShop`
+ * cada módulo lee la configuración de esa tienda sin pasarla a mano.
+ */
+export function currentEnv() {
+  return scope.getStore()?.env ?? process.env;
+}
+
+/**
+ * ▶️ Ejecutar `fn` con la configuración de una tienda
+ *
+ * Sin registro solo se admite la tienda de SHOPIFY_SHOP (o ninguna) y se usa
+ * el entorno tal cual. Un dominio que no está en el registro es un error.
+ */
+export function runWithShop(domain, fn, { shops = loadShops() } = {}) {
+  if (!domain) return fn();
+
+  const key = String(domain).trim().toLowerCase();
+  if (shops.size === 0) {
+    if (key === String(process.env.SHOPIFY_SHOP || "").toLowerCase()) return fn();
+    throw new Error(`Tienda desconocida: "${domain}" (no es SHOPIFY_SHOP y no hay ${shopsConfigPathFromEnv()})`);
+  }
+
+  const shop = shops.get(key);
+  if (!shop) {
+    throw new Error(`Tienda desconocida: "${domain}" (usa ${[...shops.keys()].join(", ")})`);
+  }
+  return scope.run({ domain: key, env: shopEnv(shop) }, fn);
+}
+
+/**
+ * 🔁 Ejecutar `fn(dominio)` en cada tienda del registro, una tras otra
+ *
+ * Sin registro se ejecuta una vez con el entorno (dominio null).
+ */
+export async function forEachShop(fn, { shops = loadShops() } = {}) {
+  if (shops.size === 0) return [await fn(null)];
+
+  const results = [];
+  for (const domain of shops.keys()) {
+    results.push(await runWithShop(domain, () => fn(domain), { shops }));
+  }
+  return results;
+}
@@ -0,0 +1,144 @@
+// lib/sku.js
+import fs from "fs";
+import path from "path";
+import { matchCategory } from "./rules.js";
+import { currentEnv } from "./shops.js";
+
+/**
+ * ⚙️ Configuración por defecto del generador de SKU
+ *
+ * `pattern` admite {category} (tag que clasificó el producto), {handle},
+ * {title}, {vendor}, {type}, {option1}-{option3}, {options} y {seq}; con
+ * `{token:n}` se recorta a n caracteres ({seq:n} rellena con ceros). Con
+ * `enabled: false` el webhook deja de generar SKU; en el CLI solo se generan
+ * con `skus` o `barcodes --skus`.
+ */
+export const DEFAULT_SKU_CONFIG = {
+  enabled: true,
+  pattern: "{category:5}-{handle:20}-{options}",
+  uppercase: true,
+  fallbackCategory: "gen",
+};
+
+const cache = new Map();
+
+/**
+ * ⚙️ Ruta de la configuración de SKU (SKU_CONFIG_PATH o config/sku.json)
+ */
+export function skuConfigPathFromEnv(env = currentEnv()) {
+  return env.SKU_CONFIG_PATH || path.resolve("config", "sku.json");
+}
+
+/**
+ * 📋 Cargar la configuración de SKU (sin archivo, la de por defecto)
+ */
+export function loadSkuConfig(configPath = skuConfigPathFromEnv()) {
+  if (cache.has(configPath)) return cache.get(configPath);
+
+  const file = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, "utf8")) : {};
+  const config = { ...DEFAULT_SKU_CONFIG, ...file };
+  if (!/\{\w+(:\d+)?\}/.test(config.pattern)) {
+    throw new Error(`El patrón de SKU no tiene ningún {token}: "${config.pattern}" (${configPath})`);
+  }
+
+  cache.set(configPath, config);
+  return config;
+}
+
+/**
+ * 🔤 Texto → segmento de SKU (sin acentos, solo letras, números y guiones)
+ */
+export function slugify(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * 📋 Obtener todos los SKU existentes
+ */
+export function getExistingSkus(products) {
+  const existingSkus = new Set();
+
+  products.forEach((product) => {
+    product.variants?.forEach((variant) => {
+      if (variant.sku?.trim()) {
+        existingSkus.add(variant.sku.trim().toUpperCase());
+      }
+    });
+  });
+
+  return existingSkus;
+}
+
+// Valores de los tokens del patrón para una variante
+function skuTokens(product, variant, config) {
+  const options = [variant.option1, variant.option2, variant.option3].filter(
+    (value) => value && value !== "Default Title"
+  );
+
+  return {
+    category: matchCategory(product)?.matchedBy || config.fallbackCategory,
+    handle: product.handle,
+    title: product.title,
+    vendor: product.vendor,
+    type: product.product_type,
+    option1: options[0],
+    option2: options[1],
+    option3: options[2],
+    options: options.map(slugify).join("-"),
+  };
+}
+
+// Patrón → SKU para un número de secuencia
+function renderSku(pattern, tokens, seq, uppercase) {
+  const sku = pattern
+    .replace(/\{(\w+)(?::(\d+))?\}/g, (_, name, width) => {
+      if (name === "seq") return String(seq).padStart(Number(width) || 1, "0");
+      const value = slugify(tokens[name]);
+      return width ? value.slice(0, Number(width)).replace(/-+$/, "") : value;
+    })
+    // Tokens vacíos no deben dejar separadores sueltos
+    .replace(/-{2,}/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return uppercase ? sku.toUpperCase() : sku;
+}
+
+/**
+ * 🏷️ Generar SKU para las variantes de un producto que no tienen
+ *
+ * Nunca toca una variante con SKU. Un SKU ya presente en `existing` (en
+ * mayúsculas) o para el que `isTaken` devuelva true se descarta: con {seq} en
+ * el patrón se prueba el siguiente número y, si no, se añade -2, -3…
+ *
+ * Devuelve un Map variantId → SKU.
+ */
+export async function generateSkus(product, variantIds, { existing = new Set(), isTaken = null, config = loadSkuConfig() } = {}) {
+  const assigned = new Map();
+  const hasSeq = /\{seq(:\d+)?\}/.test(config.pattern);
+
+  for (const variantId of variantIds) {
+    const variant = product.variants.find((v) => v.id === variantId);
+    if (!variant || variant.sku?.trim()) continue;
+
+    const tokens = skuTokens(product, variant, config);
+    for (let n = 1; ; n++) {
+      const base = renderSku(config.pattern, tokens, n, config.uppercase);
+      const sku = hasSeq || n === 1 ? base : `${base}-${n}`;
+      const key = sku.toUpperCase();
+      if (!sku || existing.has(key)) continue;
+
+      // Se reserva antes de preguntar a Shopify: otras variantes en paralelo no lo repiten
+      existing.add(key);
+      if (isTaken && (await isTaken(sku))) continue;
+
+      assigned.set(variantId, sku);
+      break;
+    }
+  }
+
+  return assigned;
+}
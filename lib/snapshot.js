@@ -0,0 +1,124 @@
+// lib/snapshot.js
+import fs from "fs";
+import path from "path";
+import { currentEnv } from "./shops.js";
+import { stateDirFromEnv } from "./store.js";
+
+/**
+ * ⚙️ Carpeta de instantáneas (SNAPSHOT_DIR o STATE_DIR/snapshots)
+ */
+export function snapshotDirFromEnv(env = currentEnv()) {
+  return env.SNAPSHOT_DIR || path.join(stateDirFromEnv(env), "snapshots");
+}
+
+/**
+ * 📸 Abrir una instantánea nueva para una ejecución
+ *
+ * JSONL de solo añadir: una cabecera con los datos de la ejecución y una
+ * línea por producto con los campos que se van a tocar tal y como estaban
+ * antes de escribir. Se crea al guardar el primer producto.
+ */
+export function createSnapshot({ dir = snapshotDirFromEnv(), label = "run", meta = {} } = {}) {
+  const createdAt = new Date().toISOString();
+  const id = `${createdAt.replace(/[:.]/g, "-")}-${label}`;
+  const file = path.join(dir, `${id}.jsonl`);
+  let count = 0;
+
+  const append = (entry) => fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+
+  return {
+    id,
+    file,
+    get count() {
+      return count;
+    },
+    /**
+     * Guardar el estado previo de `product` para lo que cambia `update`
+     * (`{ body_html?, seo?, metafields?, variants?: [{ id, barcode?, sku? }] }`;
+     * un metacampo que no existía se guarda con `value: null`). Las
+     * traducciones no vienen en el producto: `translations` ya trae las
+     * previas, `[{ locale, key, value, digest }]` (`value: null` si no había).
+     */
+    record(product, update) {
+      if (count === 0) {
+        fs.mkdirSync(dir, { recursive: true });
+        append({ type: "run", createdAt, label, ...meta });
+      }
+
+      const entry = { type: "product", id: product.id, title: product.title, takenAt: new Date().toISOString() };
+      if (update.body_html !== undefined) entry.body_html = product.body_html ?? "";
+      if (update.seo) {
+        entry.seo = Object.fromEntries(Object.keys(update.seo).map((field) => [field, product.seo?.[field] ?? ""]));
+      }
+      if (update.metafields?.length) {
+        entry.metafields = update.metafields.map(({ namespace, key, type }) => {
+          const before = (product.metafields || []).find((m) => m.namespace === namespace && m.key === key);
+          return { namespace, key, type: before?.type ?? type, value: before?.value ?? null };
+        });
+      }
+      if (update.variants?.length) {
+        entry.variants = update.variants.map((changed) => {
+          const before = product.variants.find((v) => v.id === changed.id);
+          const saved = { id: changed.id };
+          if (changed.barcode !== undefined) saved.barcode = before?.barcode ?? "";
+          if (changed.sku !== undefined) saved.sku = before?.sku ?? "";
+          return saved;
+        });
+      }
+      if (update.translations?.length) {
+        entry.translations = update.translations.map(({ locale, key, value, digest }) => ({ locale, key, value: value ?? null, digest }));
+      }
+
+      append(entry);
+      count++;
+    },
+  };
+}
+
+function readSnapshotFile(file) {
+  const lines = fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
+  const entries = lines.flatMap((line) => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+  const header = entries.find((e) => e.type === "run") || {};
+
+  // Si un producto se tocó dos veces (p. ej. la descripción y luego sus
+  // traducciones), vale el estado más antiguo de cada campo
+  const products = new Map();
+  for (const entry of entries) {
+    if (entry.type === "product") products.set(String(entry.id), { ...entry, ...products.get(String(entry.id)) });
+  }
+  return { header, products };
+}
+
+/**
+ * 🗂️ Instantáneas disponibles, de la más reciente a la más antigua
+ */
+export function listSnapshots(dir = snapshotDirFromEnv()) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(".jsonl"))
+    .sort()
+    .reverse()
+    .map((name) => {
+      const { header, products } = readSnapshotFile(path.join(dir, name));
+      return { id: path.basename(name, ".jsonl"), createdAt: header.createdAt, label: header.label, products: products.size };
+    });
+}
+
+/**
+ * 📂 Cargar una instantánea por su ID ("latest" para la más reciente)
+ */
+export function loadSnapshot(id = "latest", dir = snapshotDirFromEnv()) {
+  const snapshotId = id === "latest" ? listSnapshots(dir)[0]?.id : id;
+  const file = snapshotId && path.join(dir, `${snapshotId}.jsonl`);
+  if (!file || !fs.existsSync(file)) {
+    throw new Error(id === "latest" ? "No hay instantáneas" : `Instantánea no encontrada: "${id}"`);
+  }
+  return { id: snapshotId, ...readSnapshotFile(file) };
+}
@@ -0,0 +1,247 @@
+// lib/store.js
+import fs from "fs";
+import path from "path";
+import { currentEnv } from "./shops.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const LOCK_TIMEOUT_MS = 10000;
+const STALE_LOCK_MS = 30000;
+const MAX_UPDATE_ATTEMPTS = 10;
+
+// Invocación de Netlify ya vista en connectStores (modo Lambda, con event.blobs)
+let netlifyInvocation = false;
+
+/**
+ * ⚙️ Carpeta de estado local (STATE_DIR o data/)
+ */
+export function stateDirFromEnv(env = currentEnv()) {
+  return env.STATE_DIR || path.resolve("data");
+}
+
+/**
+ * ☁️ ¿Se ejecuta dentro de Netlify? (su disco es de solo lectura y por instancia)
+ */
+export function runningOnNetlify(env = currentEnv()) {
+  return netlifyInvocation || !!(env.NETLIFY || env.NETLIFY_BLOBS_CONTEXT);
+}
+
+async function acquireLock(lockPath) {
+  const start = Date.now();
+  for (;;) {
+    try {
+      return fs.openSync(lockPath, "wx");
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+
+      // Un proceso que murió con el lock tomado no debe bloquear para siempre
+      try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > STALE_LOCK_MS) {
+          fs.unlinkSync(lockPath);
+          continue;
+        }
+      } catch {
+        continue;
+      }
+
+      if (Date.now() - start > LOCK_TIMEOUT_MS) {
+        throw new Error(`No se pudo bloquear ${lockPath}`);
+      }
+      await sleep(50);
+    }
+  }
+}
+
+/**
+ * 🔒 Ejecutar `fn` con `file` bloqueado entre procesos (archivo `<file>.lock`)
+ */
+export async function withFileLock(file, fn) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const lockPath = `${file}.lock`;
+  const fd = await acquireLock(lockPath);
+
+  try {
+    return await fn();
+  } finally {
+    fs.closeSync(fd);
+    fs.unlinkSync(lockPath);
+  }
+}
+
+/**
+ * 🗄️ Almacén clave → valor JSON respaldado por un archivo
+ *
+ * La interfaz es asíncrona para poder sustituirlo por otro backend. Todos
+ * tienen `update(key, fn)`: lectura y escritura atómicas, `fn(valor actual)`
+ * devuelve el nuevo (puede llamarse más de una vez si otro escribe a la vez).
+ */
+export function createFileStore(file) {
+  const load = () => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {});
+  const save = (data) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  };
+
+  return {
+    async get(key) {
+      return load()[key] ?? null;
+    },
+    async set(key, value) {
+      const data = load();
+      data[key] = value;
+      save(data);
+    },
+    async delete(key) {
+      const data = load();
+      delete data[key];
+      save(data);
+    },
+    async update(key, fn) {
+      return withFileLock(file, async () => {
+        const data = load();
+        data[key] = await fn(data[key] ?? null);
+        save(data);
+        return data[key];
+      });
+    },
+    async entries() {
+      return Object.entries(load());
+    },
+  };
+}
+
+/**
+ * 🧠 Almacén en memoria (pruebas o ejecuciones de un solo proceso)
+ */
+export function createMemoryStore() {
+  const data = new Map();
+  let queue = Promise.resolve();
+  return {
+    async get(key) {
+      return data.get(key) ?? null;
+    },
+    async set(key, value) {
+      data.set(key, value);
+    },
+    async delete(key) {
+      data.delete(key);
+    },
+    update(key, fn) {
+      // Las actualizaciones van en cola: `fn` puede esperar (p. ej. a Shopify)
+      const run = queue.then(async () => {
+        data.set(key, await fn(data.get(key) ?? null));
+        return data.get(key);
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+    async entries() {
+      return [...data.entries()];
+    },
+  };
+}
+
+/**
+ * ☁️ Almacén en Netlify Blobs (estado compartido entre invocaciones)
+ *
+ * Fuera de Netlify (el CLI) usa NETLIFY_SITE_ID y NETLIFY_BLOBS_TOKEN para
+ * compartir el mismo estado que las funciones. `update` escribe solo si el
+ * blob no cambió desde que se leyó (etag) y si no, vuelve a intentarlo.
+ */
+export function createBlobStore(name, env = currentEnv()) {
+  const credentials =
+    env.NETLIFY_SITE_ID && env.NETLIFY_BLOBS_TOKEN ? { siteID: env.NETLIFY_SITE_ID, token: env.NETLIFY_BLOBS_TOKEN } : {};
+  const open = async () => (await import("@netlify/blobs")).getStore({ name, ...credentials });
+
+  return {
+    async get(key) {
+      return (await open()).get(key, { type: "json" });
+    },
+    async set(key, value) {
+      await (await open()).setJSON(key, value);
+    },
+    async delete(key) {
+      await (await open()).delete(key);
+    },
+    async update(key, fn) {
+      const store = await open();
+      for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        const current = await store.getWithMetadata(key, { type: "json" });
+        const value = await fn(current?.data ?? null);
+        const { modified } = await store.setJSON(key, value, current ? { onlyIfMatch: current.etag } : { onlyIfNew: true });
+        if (modified) return value;
+      }
+      throw new Error(`"${key}" de ${name} cambió ${MAX_UPDATE_ATTEMPTS} veces mientras se actualizaba`);
+    },
+    async entries() {
+      const store = await open();
+      const { blobs } = await store.list();
+      return Promise.all(blobs.map(async ({ key }) => [key, await store.get(key, { type: "json" })]));
+    },
+  };
+}
+
+const memoryStores = new Map();
+
+// Con varias tiendas cada una tiene sus almacenes (ver lib/shops.js); en
+// archivo ya los separa STATE_DIR
+function namespaced(name, env = currentEnv()) {
+  return env.STATE_NAMESPACE ? `${env.STATE_NAMESPACE}-${name}` : name;
+}
+
+// Un almacén `shared` es el mismo para todas las tiendas
+const backends = {
+  file: (name) => createFileStore(path.join(stateDirFromEnv(), `${name}.json`)),
+  memory: (name, { shared }) => {
+    const key = shared ? name : namespaced(name);
+    if (!memoryStores.has(key)) memoryStores.set(key, createMemoryStore());
+    return memoryStores.get(key);
+  },
+  "netlify-blobs": (name, { shared }) => createBlobStore(shared ? name : namespaced(name)),
+};
+
+/**
+ * 🔌 Registrar otro backend de almacenamiento (STATE_STORE=<nombre>)
+ *
+ * `factory(name, { shared })` devuelve un almacén con get, set, delete,
+ * update y entries.
+ */
+export function registerStoreBackend(name, factory) {
+  backends[name] = factory;
+}
+
+/**
+ * ⚙️ Backend de los almacenes (STATE_STORE)
+ *
+ * Por defecto netlify-blobs dentro de Netlify (su disco es de solo lectura) y
+ * file en el resto.
+ */
+export function storeBackendFromEnv(env = currentEnv()) {
+  return env.STATE_STORE || (runningOnNetlify(env) ? "netlify-blobs" : "file");
+}
+
+/**
+ * 🗄️ Almacén con nombre según STATE_STORE (file, memory, netlify-blobs)
+ *
+ * Con `shared` no se separa por tienda (en file eso depende de STATE_DIR).
+ */
+export function createStore(name, { backend = storeBackendFromEnv(), shared = false } = {}) {
+  const factory = backends[backend];
+  if (!factory) {
+    throw new Error(`Backend de almacenamiento desconocido: "${backend}"`);
+  }
+  return factory(name, { shared });
+}
+
+/**
+ * 🔗 Preparar los almacenes para una invocación de Netlify (modo Lambda)
+ */
+export async function connectStores(event, { backend } = {}) {
+  if (event?.blobs) netlifyInvocation = true;
+  if ((backend ?? storeBackendFromEnv()) === "netlify-blobs" && event?.blobs) {
+    const { connectLambda } = await import("@netlify/blobs");
+    connectLambda(event);
+  }
+}
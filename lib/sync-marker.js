@@ -0,0 +1,49 @@
+// lib/sync-marker.js
+import crypto from "crypto";
+import { createStore } from "./store.js";
+
+/**
+ * #️⃣ Hash de todo lo que usa el procesamiento de un producto
+ *
+ * Incluye título, tags, tipo, vendor, descripción y variantes: si un evento
+ * products/update llega con el mismo hash que dejó nuestra última escritura,
+ * es el eco de nuestro propio PUT y no un cambio del equipo.
+ */
+export function productSyncHash(product) {
+  const variants = (product.variants || [])
+    .map((v) => [String(v.id), v.barcode || "", v.sku || "", v.title || "", String(v.price ?? "")])
+    .sort((a, b) => a[0].localeCompare(b[0]));
+
+  const payload = JSON.stringify([
+    product.title || "",
+    product.tags || "",
+    product.product_type || "",
+    product.vendor || "",
+    product.body_html || "",
+    variants,
+  ]);
+
+  return crypto.createHash("sha256").update(payload).digest("hex");
+}
+
+/**
+ * 🧷 Marcas por producto con el hash de nuestra última escritura
+ */
+export function syncMarkerStore() {
+  return createStore("sync-markers");
+}
+
+/**
+ * 🔁 ¿El producto recibido es exactamente lo que escribimos nosotros?
+ */
+export async function isOwnUpdate(product, markers = syncMarkerStore()) {
+  const marker = await markers.get(String(product.id));
+  return !!marker && marker.hash === productSyncHash(product);
+}
+
+/**
+ * ✍️ Registrar el estado que acabamos de escribir en Shopify
+ */
+export async function recordOwnUpdate(product, markers = syncMarkerStore()) {
+  await markers.set(String(product.id), { hash: productSyncHash(product), writtenAt: new Date().toISOString() });
+}
@@ -0,0 +1,9 @@
+// lib/tags.js
+
+/**
+ * 🏷️ Normalizar los tags de un producto a minúsculas
+ */
+export function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  return list.map((t) => t.trim().toLowerCase()).filter(Boolean);
+}
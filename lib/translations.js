@@ -0,0 +1,70 @@
+// lib/translations.js
+import { localeTemplatesDir, renderDescription, templateLocales, templatesDirFromEnv } from "./description.js";
+import { mergeManagedBlock } from "./managed-block.js";
+
+// Clave del contenido traducible con la descripción del producto
+const DESCRIPTION_KEY = "body_html";
+
+/**
+ * 🌐 Idiomas a los que traducir la descripción
+ *
+ * Los publicados en la tienda, salvo el principal, que tienen carpeta de
+ * plantillas. Sin carpetas de idioma no se consulta a Shopify.
+ */
+export async function descriptionLocales(client, templatesDir = templatesDirFromEnv()) {
+  if (templateLocales(templatesDir).length === 0) return [];
+
+  const locales = await client.fetchShopLocales();
+  return locales.filter((l) => !l.primary && localeTemplatesDir(l.locale, templatesDir)).map((l) => l.locale);
+}
+
+/**
+ * 🌐 Traducir el bloque gestionado de la descripción a cada idioma
+ *
+ * Las plantillas del idioma se renderizan con los mismos metacampos y el
+ * bloque se sustituye dentro de la traducción actual; sin traducción se parte
+ * de `html` (la descripción que queda en Shopify) para no perder el resto del
+ * HTML. Se registra con el digest del original, así que hay que llamarla
+ * después de escribir la descripción. Con `snapshot` se guardan antes las
+ * traducciones previas para que `rollback` las restaure.
+ *
+ * Devuelve `[{ locale, before, after }]` con las traducciones que cambiaron
+ * (con `dryRun`, las que cambiarían, sin registrar nada).
+ */
+export async function translateDescription(
+  client,
+  product,
+  { html, metafields = [], category, locales = [], dryRun = false, snapshot = null, templatesDir = templatesDirFromEnv() }
+) {
+  const changed = [];
+  const translations = [];
+
+  for (const locale of locales) {
+    let content;
+    try {
+      content = renderDescription(product, { metafields, category, templatesDir, locale });
+    } catch (err) {
+      console.warn(`⚠️ ${err.message}: no se toca la traducción de "${product.title}"`);
+      continue;
+    }
+
+    // Sin descripción en el idioma principal no hay nada que traducir
+    const current = (await client.fetchTranslations(product.id, locale))[DESCRIPTION_KEY];
+    if (!current) continue;
+
+    const merged = mergeManagedBlock(current.translation ?? html, content);
+    if (!merged.changed) continue;
+
+    changed.push({ locale, before: current.translation, after: merged.html });
+    translations.push({ locale, key: DESCRIPTION_KEY, value: merged.html, digest: current.digest });
+  }
+
+  if (!dryRun && translations.length > 0) {
+    snapshot?.record(product, {
+      translations: translations.map(({ locale, key, digest }, i) => ({ locale, key, value: changed[i].before, digest })),
+    });
+    await client.registerTranslations(product.id, translations);
+    console.log(`🌐 Traducción de "${product.title}" registrada: ${translations.map((t) => t.locale).join(", ")}`);
+  }
+  return changed;
+}
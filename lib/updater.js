@@ -0,0 +1,363 @@
+// lib/updater.js
+import { allocateBarcodes, getExistingBarcodes, registryOptionsFromEnv } from "./barcode-registry.js";
+import { barcodeFormatFor, loadBarcodeRules } from "./barcode-rules.js";
+import { CheckpointMismatchError, checkpointPathFromEnv, openCheckpoint } from "./checkpoint.js";
+import { shopifyConfigFromEnv } from "./config.js";
+import { renderDescription } from "./description.js";
+import { recordDryRun, writeDryRunReport } from "./dry-run.js";
+import { normalizeFilters, productSearchQuery, resolveCollectionFilter } from "./filters.js";
+import { mergeManagedBlock } from "./managed-block.js";
+import { mapWithConcurrency } from "./pool.js";
+import { reportRun } from "./report.js";
+import { loadTagRules, matchCategory } from "./rules.js";
+import { createRunLog } from "./run-log.js";
+import { currentEnv } from "./shops.js";
+import { loadSeoConfig, seoUpdate } from "./seo.js";
+import { createShopifyClient } from "./shopify.js";
+import { generateSkus, getExistingSkus, loadSkuConfig } from "./sku.js";
+import { createSnapshot } from "./snapshot.js";
+import { descriptionLocales, translateDescription } from "./translations.js";
+
+/**
+ * ⚙️ Productos procesados en paralelo (BATCH_CONCURRENCY, 4 por defecto)
+ *
+ * El cliente reparte el presupuesto de coste de GraphQL entre todos.
+ */
+export function batchConcurrencyFromEnv(env = currentEnv()) {
+  const value = Number(env.BATCH_CONCURRENCY);
+  return Number.isInteger(value) && value > 0 ? value : 4;
+}
+
+/**
+ * 🔄 Actualización masiva de descripciones, códigos de barras y/o SKU
+ *
+ * Con `descriptions` regenera el bloque gestionado de los productos que
+ * cumplen alguna regla de config/tag-rules.json (y su traducción a los idiomas
+ * publicados con plantillas, ver lib/translations.js); con `barcodes` asigna códigos
+ * del registro a las variantes sin código y con `skus` genera SKU (ver
+ * lib/sku.js) para las variantes sin SKU. Con `seo` genera el título, la
+ * meta descripción y el JSON-LD del producto (ver lib/seo.js). `filters` (ver
+ * lib/filters.js) y `limit` acotan los productos; con `dryRun` solo muestra y
+ * guarda el diff sin escribir en Shopify.
+ *
+ * Antes de escribir cada producto se guarda su estado previo en una
+ * instantánea (lib/snapshot.js) que `rollback` puede restaurar.
+ *
+ * Cada producto escrito queda en un checkpoint; con `resume` se continúa la
+ * última ejecución que no terminó en vez de empezar de cero (con las mismas
+ * pasadas, filtro y límite; si no, devuelve `{ error, resumeMismatch }`). `confirm` recibe
+ * `{ shop, count }` antes de escribir y puede cancelar devolviendo false.
+ *
+ * El resultado de cada producto queda en un registro JSONL (lib/run-log.js)
+ * y al terminar se guarda un resumen Markdown/HTML y se notifica si está
+ * configurado (lib/report.js).
+ *
+ * Devuelve el resumen de la ejecución.
+ */
+export async function updateProducts({
+  descriptions = true,
+  barcodes = false,
+  skus = false,
+  seo = false,
+  dryRun = false,
+  resume = false,
+  concurrency = batchConcurrencyFromEnv(),
+  filters = {},
+  limit = null,
+  confirm = null,
+} = {}) {
+  let client;
+  try {
+    client = createShopifyClient(shopifyConfigFromEnv());
+  } catch (err) {
+    console.error(err.message);
+    return { error: err.message };
+  }
+
+  // La simulación no deja checkpoint: no debe contar como trabajo hecho
+  const passes = [descriptions && "descriptions", barcodes && "barcodes", skus && "skus", seo && "seo"].filter(Boolean);
+  const startRun = (query) =>
+    createRunLog({ kind: "batch", label: passes.join("-"), meta: { shop: client.shop, passes, query, dryRun } });
+  let runLog = null;
+
+  try {
+    const query = productSearchQuery(await resolveCollectionFilter(client, normalizeFilters(filters)));
+    if (query) console.log(`🔎 Filtro: ${query}`);
+    runLog = startRun(query);
+
+    const products = await client.fetchAllProducts({ query });
+    console.log(`📦 Productos encontrados: ${products.length}`);
+
+    // Obtener códigos de barras existentes para evitar duplicados; con filtro
+    // solo vemos parte del catálogo y hay que preguntar a Shopify
+    const existingBarcodes = getExistingBarcodes(products);
+    const isTaken = query ? (code) => client.barcodeExists(code) : undefined;
+    if (barcodes) console.log(`🔢 Códigos de barras existentes: ${existingBarcodes.size}`);
+
+    // Igual con los SKU: nunca se repite uno que ya use otra variante
+    const existingSkus = getExistingSkus(products);
+    const isSkuTaken = query ? (sku) => client.skuExists(sku) : undefined;
+    if (skus) console.log(`🏷️ SKU existentes: ${existingSkus.size}`);
+    if (dryRun) console.log("🧪 Modo DRY RUN: no se enviará ningún cambio a Shopify");
+
+    let updated = [];
+    const dryRunChanges = [];
+    const registryOptions = registryOptionsFromEnv();
+    const barcodeRules = barcodes ? loadBarcodeRules() : null;
+    const skuConfig = skus ? loadSkuConfig() : null;
+    const seoConfig = seo ? loadSeoConfig() : null;
+    const rules = loadTagRules();
+    const locales = descriptions ? await descriptionLocales(client) : [];
+    if (locales.length > 0) console.log(`🌐 Idiomas a traducir: ${locales.join(", ")}`);
+    let barcodesGenerated = 0;
+    let skusGenerated = 0;
+    let skipped = 0;
+    let failed = 0;
+    let alreadyDone = 0;
+
+    const checkpoint = dryRun
+      ? null
+      : openCheckpoint(checkpointPathFromEnv(passes.join("-")), { resume, meta: { shop: client.shop, passes, query, limit } });
+
+    let pending = products.filter((product) => {
+      const wanted =
+        ((descriptions || seo) && matchCategory(product, rules)) ||
+        (barcodes && product.variants.some((variant) => !variant.barcode)) ||
+        (skus && product.variants.some((variant) => !variant.sku?.trim()));
+      if (!wanted) return false;
+      if (checkpoint?.isDone(product.id)) {
+        alreadyDone++;
+        return false;
+      }
+      return true;
+    });
+    if (alreadyDone > 0) console.log(`📍 Ya procesados en la ejecución anterior: ${alreadyDone}`);
+    if (limit && pending.length > limit) {
+      console.log(`✂️ Limitado a ${limit} de ${pending.length} productos`);
+      pending = pending.slice(0, limit);
+    }
+
+    if (!dryRun && pending.length > 0 && confirm && !(await confirm({ shop: client.shop, count: pending.length }))) {
+      console.log("🚫 Cancelado, no se ha modificado nada");
+      runLog.finish({ cancelled: true });
+      return { cancelled: true, pending: pending.length };
+    }
+
+    checkpoint?.begin();
+    const snapshot = dryRun ? null : createSnapshot({ label: passes.join("-"), meta: { passes, query } });
+    console.log(`🚦 Procesando ${pending.length} productos (${concurrency} en paralelo)`);
+
+    await mapWithConcurrency(pending, concurrency, async (product) => {
+      const started = Date.now();
+      const logResult = (action, extra = {}) =>
+        runLog.product(product.id, { title: product.title, action, durationMs: Date.now() - started, ...extra });
+      const category = descriptions || seo ? matchCategory(product, rules) : null;
+
+      // 📝 Descripción: solo se reemplaza el bloque gestionado
+      let description = { changed: false };
+      let metafields = [];
+      if (category) {
+        // 🔍 Metacampos (ya vienen en la operación masiva)
+        metafields = product.metafields ?? (await client.fetchMetafields(product.id));
+        if (descriptions) {
+          description = mergeManagedBlock(product.body_html, renderDescription(product, { metafields, category }));
+        }
+      }
+
+      // 🔢 Asignar códigos de barras del registro a las variantes sin código;
+      // un fallo (p. ej. el registro bloqueado) deja el producto como fallido
+      let allocationError = null;
+      const variantUpdates = new Map();
+      const variantUpdate = (id) => variantUpdates.get(id) || variantUpdates.set(id, { id }).get(id);
+      const missing = barcodes ? product.variants.filter((variant) => !variant.barcode) : [];
+
+      if (missing.length > 0) {
+        try {
+          const assigned = await allocateBarcodes(
+            product.id,
+            missing.map((variant) => variant.id),
+            {
+              ...registryOptions,
+              ...barcodeFormatFor(product, barcodeRules),
+              existing: existingBarcodes,
+              isTaken,
+              source: "batch",
+              commit: !dryRun,
+            }
+          );
+
+          for (const [variantId, newBarcode] of assigned) {
+            variantUpdate(variantId).barcode = newBarcode;
+            barcodesGenerated++;
+            console.log(`🔢 Nuevo código de barras para "${product.title}" (Variante ${variantId}): ${newBarcode}`);
+          }
+        } catch (err) {
+          console.error(`❌ No se pudieron asignar códigos a "${product.title}":`, err.message);
+          allocationError = err;
+        }
+      }
+
+      // 🏷️ Generar SKU para las variantes sin SKU (los existentes no se tocan)
+      if (skus) {
+        try {
+          const assigned = await generateSkus(
+            product,
+            product.variants.map((variant) => variant.id),
+            { existing: existingSkus, isTaken: isSkuTaken, config: skuConfig }
+          );
+
+          for (const [variantId, sku] of assigned) {
+            variantUpdate(variantId).sku = sku;
+            skusGenerated++;
+            console.log(`🏷️ Nuevo SKU para "${product.title}" (Variante ${variantId}): ${sku}`);
+          }
+        } catch (err) {
+          console.error(`❌ No se pudieron generar SKU para "${product.title}":`, err.message);
+          allocationError ??= err;
+        }
+      }
+
+      // Sin escribir nada: con --resume se vuelve a intentar el producto entero
+      if (allocationError) {
+        for (const update of variantUpdates.values()) {
+          if (update.barcode) barcodesGenerated--;
+          if (update.sku) skusGenerated--;
+        }
+        failed++;
+        checkpoint?.record(product.id, { title: product.title, status: "failed", error: allocationError.message });
+        logResult("failed", { error: allocationError.message });
+        return;
+      }
+
+      const updatedVariants = [...variantUpdates.values()];
+
+      // 🔎 SEO y JSON-LD, con los códigos y SKU recién asignados
+      let seoChanges = null;
+      if (seo && category) {
+        try {
+          const variants = product.variants.map((variant) => ({ ...variant, ...variantUpdates.get(variant.id) }));
+          seoChanges = seoUpdate(product, { metafields, category, variants, config: seoConfig });
+        } catch (err) {
+          console.warn(`⚠️ No se pudo generar el SEO de "${product.title}":`, err.message);
+        }
+      }
+
+      // 🌐 Traducciones del bloque, con la descripción que queda en Shopify
+      const translate = async (html) => {
+        if (!category || locales.length === 0) return [];
+        try {
+          return await translateDescription(client, product, { html, metafields, category, locales, dryRun, snapshot });
+        } catch (err) {
+          console.warn(`⚠️ No se pudo traducir la descripción de "${product.title}":`, err.message);
+          return [];
+        }
+      };
+
+      if (!description.changed && updatedVariants.length === 0 && !seoChanges) {
+        const translations = await translate(product.body_html);
+        if (translations.length > 0) {
+          const changes = { translations: translations.map((t) => t.locale) };
+          if (dryRun) {
+            recordDryRun(dryRunChanges, product, { product: { id: product.id } }, translations);
+            logResult("would-update", changes);
+          } else {
+            updated.push(product.title);
+            checkpoint.record(product.id, { title: product.title, status: "updated", ...changes });
+            logResult("updated", changes);
+          }
+          return;
+        }
+
+        console.log(`⏭️ Sin cambios: ${product.title}`);
+        skipped++;
+        checkpoint?.record(product.id, { title: product.title, status: "unchanged" });
+        logResult("unchanged");
+        return;
+      }
+
+      // 🔄 Preparar payload de actualización
+      const updatePayload = { product: { id: product.id } };
+
+      if (description.changed) {
+        updatePayload.product.body_html = description.html;
+      }
+
+      // Agregar variantes solo si hay códigos de barras o SKU que actualizar
+      if (updatedVariants.length > 0) {
+        updatePayload.product.variants = updatedVariants;
+      }
+
+      Object.assign(updatePayload.product, seoChanges);
+
+      const changes = {
+        description: description.changed,
+        seo: !!seoChanges,
+        barcodes: updatedVariants.map((v) => v.barcode).filter(Boolean),
+        skus: updatedVariants.map((v) => v.sku).filter(Boolean),
+      };
+
+      if (dryRun) {
+        const translations = await translate(updatePayload.product.body_html ?? product.body_html);
+        recordDryRun(dryRunChanges, product, updatePayload, translations);
+        logResult("would-update", { ...changes, translations: translations.map((t) => t.locale) });
+        return;
+      }
+
+      // 🔄 Actualizar producto
+      try {
+        snapshot.record(product, updatePayload.product);
+        await client.updateProduct(updatePayload.product);
+        changes.translations = (await translate(updatePayload.product.body_html ?? product.body_html)).map((t) => t.locale);
+
+        console.log(`✅ Actualizado: ${product.title} ${updatedVariants.length > 0 ? `(${updatedVariants.length} variantes con código o SKU nuevo)` : ""}`);
+        updated.push(product.title);
+        checkpoint.record(product.id, { title: product.title, status: "updated", ...changes });
+        logResult("updated", changes);
+      } catch (err) {
+        console.error(`❌ Error al actualizar ${product.title}:`, err.message);
+        failed++;
+        checkpoint.record(product.id, { title: product.title, status: "failed", error: err.message });
+        logResult("failed", { error: err.message });
+      }
+    });
+
+    if (dryRun) {
+      writeDryRunReport(dryRunChanges);
+      console.log(`\n🧪 Simulación completada!`);
+      console.log(`📦 Productos que se actualizarían: ${dryRunChanges.length}`);
+      console.log(`⏭️ Productos ya al día: ${skipped}`);
+      if (barcodes) console.log(`🔢 Códigos de barras que se generarían: ${barcodesGenerated}`);
+      if (skus) console.log(`🏷️ SKU que se generarían: ${skusGenerated}`);
+      if (failed > 0) console.log(`❌ Productos con error: ${failed}`);
+      await reportRun(runLog.finish({ alreadyDone }));
+      return { dryRun: true, changes: dryRunChanges.length, skipped, failed, barcodesGenerated, skusGenerated, run: runLog.id };
+    }
+
+    checkpoint.complete({ updated: updated.length, skipped, failed, barcodesGenerated, skusGenerated });
+
+    console.log(`\n🎉 Actualización completada!`);
+    console.log(`📦 Total productos actualizados: ${updated.length}`);
+    console.log(`⏭️ Productos ya al día: ${skipped}`);
+    if (failed > 0) console.log(`❌ Productos con error: ${failed} (se reintentan con --resume)`);
+    if (barcodes) console.log(`🔢 Total códigos de barras generados: ${barcodesGenerated}`);
+    if (skus) console.log(`🏷️ Total SKU generados: ${skusGenerated}`);
+    if (snapshot.count > 0) console.log(`📸 Estado anterior guardado: rollback --snapshot ${snapshot.id}`);
+    await reportRun(runLog.finish({ alreadyDone, snapshot: snapshot.count > 0 ? snapshot.id : null }));
+    return {
+      updated: updated.length,
+      skipped,
+      failed,
+      barcodesGenerated,
+      skusGenerated,
+      snapshot: snapshot.count > 0 ? snapshot.id : null,
+      run: runLog.id,
+    };
+  } catch (e) {
+    console.error("❌ Error general:", e.message || e);
+    const resumeMismatch = e instanceof CheckpointMismatchError;
+    if (!resumeMismatch) console.error("📍 Ejecuta de nuevo con --resume para continuar donde se quedó");
+    runLog ??= startRun(null);
+    await reportRun(runLog.finish({ error: e.message || String(e) }));
+    return { error: e.message || String(e), ...(resumeMismatch && { resumeMismatch }) };
+  }
+}
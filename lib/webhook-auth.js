@@ -0,0 +1,70 @@
+// lib/webhook-auth.js
+import crypto from "crypto";
+import { currentEnv } from "./shops.js";
+
+const splitList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+/**
+ * ⚙️ Secretos válidos para firmar webhooks
+ *
+ * SHOPIFY_WEBHOOK_SECRETS admite varios separados por coma para rotarlos sin
+ * cortar el servicio; SHOPIFY_WEBHOOK_SECRET sigue funcionando.
+ */
+export function webhookSecretsFromEnv(env = currentEnv()) {
+  return [...new Set([...splitList(env.SHOPIFY_WEBHOOK_SECRETS), ...splitList(env.SHOPIFY_WEBHOOK_SECRET)])];
+}
+
+/**
+ * ⚙️ Tiendas autorizadas (SHOPIFY_ALLOWED_SHOPS o, por defecto, SHOPIFY_SHOP)
+ */
+export function allowedShopsFromEnv(env = currentEnv()) {
+  const shops = splitList(env.SHOPIFY_ALLOWED_SHOPS || env.SHOPIFY_SHOP);
+  return shops.map((shop) => shop.toLowerCase());
+}
+
+/**
+ * Verificar la firma HMAC de un webhook con cualquiera de los secretos
+ */
+export function verifyWebhook(rawBody, hmacHeader, secrets = webhookSecretsFromEnv()) {
+  if (!hmacHeader) return false;
+
+  const received = Buffer.from(hmacHeader, "base64");
+  return secrets.some((secret) => {
+    const calculated = crypto.createHmac("sha256", secret).update(rawBody).digest();
+    return calculated.length === received.length && crypto.timingSafeEqual(calculated, received);
+  });
+}
+
+/**
+ * 🔐 Autenticar una petición de webhook de Netlify
+ *
+ * - Con secretos configurados la firma es obligatoria (sin cabecera → 401)
+ * - X-Shopify-Shop-Domain debe estar en la lista de tiendas autorizadas (403)
+ *
+ * Devuelve `{ ok: true, rawBody, shop }` o `{ ok: false, statusCode, error }`.
+ */
+export function authenticateWebhook(
+  event,
+  { secrets = webhookSecretsFromEnv(), allowedShops = allowedShopsFromEnv() } = {}
+) {
+  const rawBody = Buffer.from(event.body || "", event.isBase64Encoded ? "base64" : "utf8");
+
+  if (secrets.length > 0) {
+    if (!verifyWebhook(rawBody, event.headers["x-shopify-hmac-sha256"], secrets)) {
+      return { ok: false, statusCode: 401, error: "No autorizado" };
+    }
+  } else {
+    console.warn("SHOPIFY_WEBHOOK_SECRET no configurado: webhook sin verificar");
+  }
+
+  const shop = String(event.headers["x-shopify-shop-domain"] || "").toLowerCase();
+  if (allowedShops.length > 0 && !allowedShops.includes(shop)) {
+    return { ok: false, statusCode: 403, error: "Tienda no autorizada" };
+  }
+
+  return { ok: true, rawBody, shop };
+}
@@ -0,0 +1,400 @@
+// lib/webhook.js
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { shopifyConfigFromEnv } from "./config.js";
+import { processProduct } from "./process-product.js";
+import { reportRun } from "./report.js";
+import { createRunLog } from "./run-log.js";
+import { currentEnv, currentShop, loadShops, runWithShop, shopEnv } from "./shops.js";
+import { createShopifyClient } from "./shopify.js";
+import { connectStores, createStore } from "./store.js";
+import { isOwnUpdate } from "./sync-marker.js";
+import { authenticateWebhook, webhookSecretsFromEnv } from "./webhook-auth.js";
+
+// Función de fondo que hace el trabajo pesado (responde 202 al instante)
+const BACKGROUND_FUNCTION = "process-product-background";
+
+// Una entrega "en cola" que no terminó en este tiempo se puede volver a procesar
+const STALE_DELIVERY_MS = 15 * 60 * 1000;
+
+// Las entregas registradas se olvidan pasado este tiempo
+const DELIVERY_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * 📬 Entregas de webhook ya recibidas, por X-Shopify-Webhook-Id
+ */
+export function deliveryStore() {
+  return createStore("webhook-deliveries");
+}
+
+// Shopify reenvía entregas: solo se descartan las terminadas o las que siguen en curso
+async function isDuplicateDelivery(deliveries, webhookId) {
+  const seen = await deliveries.get(webhookId);
+  if (!seen || seen.status === "failed") return false;
+  if (seen.status === "done") return true;
+  return Date.now() - Date.parse(seen.updatedAt) < STALE_DELIVERY_MS;
+}
+
+/**
+ * 🧹 Olvidar entregas antiguas
+ */
+export async function pruneDeliveries(deliveries = deliveryStore(), maxAgeMs = DELIVERY_TTL_MS) {
+  let removed = 0;
+  for (const [webhookId, entry] of await deliveries.entries()) {
+    if (!entry?.updatedAt || Date.now() - Date.parse(entry.updatedAt) > maxAgeMs) {
+      await deliveries.delete(webhookId);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+// Firma de los trabajos enviados a la función de fondo (primer secreto
+// activo); con una clave vacía cualquiera podría falsificarla
+function signJob(body) {
+  const [secret] = webhookSecretsFromEnv();
+  if (!secret) throw new Error("Sin secreto de webhook no se pueden firmar los trabajos");
+  return crypto.createHmac("sha256", secret).update(body, "utf8").digest("hex");
+}
+
+// URL de la función de fondo, o null para procesar en la misma invocación
+// (también sin secreto, porque el trabajo no se podría firmar)
+function backgroundUrl(env = currentEnv()) {
+  if (env.WEBHOOK_PROCESSING === "inline") return null;
+  if (webhookSecretsFromEnv(env).length === 0) {
+    console.warn("Sin secreto de webhook: se procesa en línea en lugar de encolar");
+    return null;
+  }
+  if (env.WEBHOOK_BACKGROUND_URL) return env.WEBHOOK_BACKGROUND_URL;
+  return env.URL ? `${env.URL}/.netlify/functions/${BACKGROUND_FUNCTION}` : null;
+}
+
+async function enqueueJob(url, job) {
+  const body = JSON.stringify(job);
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Job-Signature": signJob(body) },
+    body,
+  });
+  if (!res.ok) {
+    throw new Error(`La función de fondo respondió ${res.status}`);
+  }
+}
+
+// Registro de cada invocación: un archivo por día en RUN_LOG_DIR o, sin él,
+// líneas JSON en el log de la función (Netlify no tiene disco persistente)
+function webhookRunLog(topic, meta, env = currentEnv()) {
+  return createRunLog({
+    kind: "webhook",
+    label: topic.replace(/\//g, "-"),
+    meta,
+    dir: env.RUN_LOG_DIR || null,
+    file: `webhooks-${new Date().toISOString().slice(0, 10)}.jsonl`,
+  });
+}
+
+// Tienda y entrega de una invocación, para el registro
+const invocationMeta = (event) => ({
+  shop: event.headers["x-shopify-shop-domain"] || currentEnv().SHOPIFY_SHOP || null,
+  webhookId: event.headers["x-shopify-webhook-id"] || null,
+});
+
+// Las invocaciones que no procesan nada también quedan en el registro: las
+// rechazadas con su código y motivo, las descartadas con su producto
+function logRejected(label, event, statusCode, reason) {
+  webhookRunLog(label, invocationMeta(event)).finish({ rejected: statusCode, reason });
+}
+
+function logDiscarded(topic, event, product, action) {
+  const runLog = webhookRunLog(topic, invocationMeta(event));
+  runLog.product(product.id, { title: product.title, action });
+  runLog.finish();
+}
+
+/**
+ * Procesar el producto de una entrega y registrar su estado
+ *
+ * Se procesa el producto tal y como está ahora en Shopify, no el del payload.
+ * El resultado queda en el registro de ejecuciones y, si falla o solo se
+ * aplica en parte, se notifica (lib/report.js).
+ */
+export async function runProductJob({ topic, webhookId, product }, { deliveries = deliveryStore() } = {}) {
+  const mark = async (status, extra = {}) => {
+    if (!webhookId) return;
+    await deliveries.set(webhookId, {
+      topic,
+      productId: product.id,
+      status,
+      updatedAt: new Date().toISOString(),
+      ...extra,
+    });
+  };
+
+  await mark("processing");
+  const started = Date.now();
+  const runLog = webhookRunLog(topic, { shop: shopifyConfigFromEnv().shop, webhookId: webhookId || null });
+  const logResult = async (action, extra) => {
+    runLog.product(product.id, { title: product.title, action, durationMs: Date.now() - started, ...extra });
+    await reportRun(runLog.finish(), { summaries: false, notifyOn: "errors" });
+  };
+
+  try {
+    const client = createShopifyClient(shopifyConfigFromEnv());
+    // El payload solo avisa: un trabajo en cola o una entrega reenviada horas
+    // después no debe pisar lo que el equipo editó entretanto en Shopify
+    const current = await client.fetchProduct(product.id);
+    if (!current) {
+      console.log(`Producto ${product.id} ya no existe en Shopify`);
+      await mark("done", { changes: false });
+      await logResult("unchanged");
+      return { success: true, changes: false };
+    }
+
+    const result = await processProduct(current, { client, source: topic });
+    await mark("done", { changes: result.changes });
+    const action = result.partial ? (result.success ? "partial" : "failed") : result.changes ? "updated" : "unchanged";
+    await logResult(action, {
+      barcodes: result.barcodes,
+      skus: result.skus,
+      description: !!result.descriptionAdded,
+      translations: result.translations,
+      seo: !!result.seoUpdated,
+      error: result.error,
+    });
+    return result;
+  } catch (error) {
+    await mark("failed", { error: error.message });
+    await logResult("failed", { error: error.message });
+    throw error;
+  }
+}
+
+const json = (statusCode, body) => ({
+  statusCode,
+  headers: { "Content-Type": "application/json" },
+  body: JSON.stringify(body),
+});
+
+// Con registro de tiendas (config/shops.json) cada petición se atiende con la
+// configuración de su tienda; una tienda que no está en él se rechaza
+function withShopConfig(handle, { label, shopOf, statusCode, error }) {
+  return async (event, context) => {
+    let shops;
+    try {
+      shops = loadShops();
+    } catch (err) {
+      console.error("Error en el registro de tiendas:", err.message);
+      return json(500, { error: "Error interno del servidor", message: err.message });
+    }
+    if (shops.size === 0) return handle(event, context);
+
+    const shop = String(shopOf(event) || "").toLowerCase();
+    if (!shops.has(shop)) {
+      console.error(`Petición rechazada: tienda "${shop}" fuera del registro`);
+      logRejected(label, event, statusCode, `${error}: ${shop || "sin tienda"}`);
+      return json(statusCode, { error });
+    }
+    try {
+      shopEnv(shops.get(shop));
+    } catch (err) {
+      // Sin la configuración de la tienda (p. ej. sin su secreto) no se atiende
+      console.error(`Error con la configuración de ${shop}:`, err.message);
+      return json(500, { error: "Error interno del servidor", message: err.message });
+    }
+    // Los errores del handler siguen su curso (la función de fondo los relanza
+    // para que Netlify reintente)
+    return runWithShop(shop, () => handle(event, context), { shops });
+  };
+}
+
+// El trabajo lleva su tienda: se valida con el secreto de esa tienda
+function jobShop(event) {
+  try {
+    return JSON.parse(event.body || "").shop;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Handler de Netlify para los webhooks de productos (products/create, products/update)
+ *
+ * Verifica firma y tienda, descarta duplicados por X-Shopify-Webhook-Id y
+ * responde 200 en cuanto el trabajo queda encolado en la función de fondo,
+ * para que Shopify no reintente por timeout. Sin función de fondo (local)
+ * procesa en línea. Las peticiones rechazadas y las entregas descartadas
+ * también quedan en el registro de ejecuciones.
+ *
+ * Con `ignoreOwnUpdates` descarta los eventos que son el eco de nuestra propia
+ * escritura, para no entrar en un bucle products/update → PUT → products/update.
+ *
+ * Con varias tiendas, X-Shopify-Shop-Domain elige su token, secreto, plantillas
+ * y reglas (lib/shops.js).
+ */
+export function createProductWebhookHandler({ topic, ignoreOwnUpdates = false }) {
+  const handle = async (event, context) => {
+    const startTime = Date.now();
+
+    try {
+      console.log(`Webhook ${topic} recibido: ${new Date().toISOString()}`);
+      await connectStores(event);
+
+      // Verificar firma y tienda de origen
+      const auth = authenticateWebhook(event);
+      if (!auth.ok) {
+        console.error(`Webhook rechazado: ${auth.error}`);
+        logRejected(topic, event, auth.statusCode, auth.error);
+        return json(auth.statusCode, { error: auth.error });
+      }
+
+      // Parsear producto
+      let product;
+      try {
+        product = JSON.parse(auth.rawBody.toString("utf8"));
+      } catch {
+        product = null;
+      }
+
+      if (!product || !product.id) {
+        console.error("Datos del producto inválidos");
+        logRejected(topic, event, 400, "Datos inválidos");
+        return json(400, { error: "Datos inválidos" });
+      }
+
+      console.log(`Producto: ${product.title} (ID: ${product.id})`);
+
+      const webhookId = event.headers["x-shopify-webhook-id"];
+      const deliveries = deliveryStore();
+
+      if (webhookId && (await isDuplicateDelivery(deliveries, webhookId))) {
+        console.log(`Entrega ${webhookId} duplicada, se ignora`);
+        logDiscarded(topic, event, product, "duplicate");
+        return json(200, { success: true, duplicate: true, webhookId, productId: product.id });
+      }
+
+      if (ignoreOwnUpdates && (await isOwnUpdate(product))) {
+        console.log(`Evento generado por nuestra propia actualización, se ignora`);
+        logDiscarded(topic, event, product, "ignored");
+        return json(200, {
+          success: true,
+          ignored: true,
+          message: "Actualización propia ignorada",
+          productId: product.id,
+          processingTime: Date.now() - startTime,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const job = { shop: currentShop(), topic, webhookId, product };
+      const url = backgroundUrl();
+
+      if (url) {
+        try {
+          if (webhookId) {
+            await deliveries.set(webhookId, {
+              topic,
+              productId: product.id,
+              status: "queued",
+              updatedAt: new Date().toISOString(),
+            });
+          }
+          await enqueueJob(url, job);
+
+          console.log(`Producto encolado para procesamiento en segundo plano`);
+          return json(200, {
+            success: true,
+            queued: true,
+            message: "Producto recibido, procesamiento en curso",
+            webhookId,
+            productId: product.id,
+            processingTime: Date.now() - startTime,
+            timestamp: new Date().toISOString(),
+          });
+        } catch (error) {
+          // Sin función de fondo disponible: mejor lento que perder el evento
+          console.error("No se pudo encolar, se procesa en línea:", error.message);
+        }
+      }
+
+      // Procesar el producto
+      const result = await runProductJob(job, { deliveries });
+
+      const duration = Date.now() - startTime;
+      console.log(`Proceso completado en ${duration}ms`);
+
+      return json(200, {
+        success: result.success,
+        message: result.changes ? "Producto procesado y actualizado" : "Producto recibido, sin cambios necesarios",
+        productId: product.id,
+        productTitle: product.title,
+        barcodesGenerated: result.barcodesGenerated || 0,
+        skusGenerated: result.skusGenerated || 0,
+        descriptionAdded: result.descriptionAdded || false,
+        translations: result.translations || [],
+        seoUpdated: result.seoUpdated || false,
+        partial: result.partial || false,
+        metafieldsPending: result.metafieldsPending || false,
+        processingTime: duration,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error en webhook handler:", error.message);
+      const duration = Date.now() - startTime;
+
+      return json(500, {
+        error: "Error interno del servidor",
+        message: error.message,
+        processingTime: duration,
+      });
+    }
+  };
+
+  const byShop = withShopConfig(handle, {
+    label: topic,
+    shopOf: (event) => event.headers["x-shopify-shop-domain"],
+    statusCode: 403,
+    error: "Tienda no autorizada",
+  });
+
+  return async (event, context) => {
+    // Solo aceptar POST
+    if (event.httpMethod !== "POST") {
+      return json(405, { error: "Método no permitido" });
+    }
+    return byShop(event, context);
+  };
+}
+
+/**
+ * Handler de la función de fondo que procesa los trabajos encolados
+ *
+ * Un error se relanza para que Netlify reintente la invocación; la entrega
+ * queda como "failed" y un reenvío de Shopify también se procesará.
+ */
+export function createProductJobHandler() {
+  const handle = async (event) => {
+    await connectStores(event);
+
+    if (webhookSecretsFromEnv().length === 0) {
+      console.error("Sin secreto de webhook no se puede verificar el trabajo");
+      logRejected(BACKGROUND_FUNCTION, event, 500, "Sin secreto de webhook");
+      return json(500, { error: "Error interno del servidor" });
+    }
+
+    const signature = Buffer.from(event.headers["x-job-signature"] || "");
+    const expected = Buffer.from(signJob(event.body || ""));
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      console.error("Trabajo con firma inválida");
+      logRejected(BACKGROUND_FUNCTION, event, 401, "Firma del trabajo inválida");
+      return json(401, { error: "No autorizado" });
+    }
+
+    const job = JSON.parse(event.body);
+    console.log(`Procesando ${job.topic} del producto ${job.product.id} (entrega ${job.webhookId || "-"})`);
+
+    const result = await runProductJob(job);
+    return json(200, { success: result.success, changes: result.changes });
+  };
+
+  return withShopConfig(handle, { label: BACKGROUND_FUNCTION, shopOf: jobShop, statusCode: 401, error: "No autorizado" });
+}
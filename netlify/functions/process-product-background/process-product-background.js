@@ -0,0 +1,8 @@
+// netlify/functions/process-product-background/process-product-background.js
+import { createProductJobHandler } from '../../../lib/index.js';
+
+/**
+ * Función de fondo (sufijo -background): Netlify responde 202 al instante y
+ * ejecuta aquí el procesamiento que encolan product-created y product-updated
+ */
+export const handler = createProductJobHandler();
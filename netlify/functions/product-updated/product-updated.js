@@ -0,0 +1,9 @@
+// netlify/functions/product-updated/product-updated.js
+import { createProductWebhookHandler } from '../../../lib/index.js';
+
+/**
+ * Handler para el webhook products/update: nuevas variantes reciben código y
+ * los cambios de tags cambian la plantilla. Los eventos provocados por nuestro
+ * propio PUT se ignoran para no crear un bucle.
+ */
+export const handler = createProductWebhookHandler({ topic: 'products/update', ignoreOwnUpdates: true });
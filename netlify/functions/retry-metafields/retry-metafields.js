@@ -0,0 +1,64 @@
+// netlify/functions/retry-metafields/retry-metafields.js
+import {
+  connectStores,
+  createShopifyClient,
+  forEachShop,
+  pendingMetafieldsStore,
+  processProduct,
+  pruneDeliveries,
+  shopifyConfigFromEnv,
+} from '../../../lib/index.js';
+
+// Cola de una tienda (cada tienda del registro tiene la suya)
+async function retryPending() {
+  const client = createShopifyClient(shopifyConfigFromEnv());
+  const pending = pendingMetafieldsStore();
+  const entries = await pending.entries();
+
+  console.log(`Productos con metacampos pendientes en ${client.shop}: ${entries.length}`);
+
+  let processed = 0;
+  for (const [productId, entry] of entries) {
+    try {
+      const product = await client.fetchProduct(productId);
+      if (!product) {
+        console.log(`Producto ${productId} ya no existe, se quita de la cola`);
+        await pending.delete(productId);
+        continue;
+      }
+
+      await processProduct(product, { client, source: 'retry', attempt: entry.attempts, metafieldAttempts: 1, pending });
+      processed++;
+    } catch (error) {
+      console.error(`Error reintentando producto ${productId}:`, error.message);
+    }
+  }
+
+  const pruned = await pruneDeliveries();
+  return { shop: client.shop, pending: entries.length, processed, pruned };
+}
+
+/**
+ * Función programada: vuelve a generar la descripción de los productos que se
+ * crearon antes de tener sus metacampos (ver lib/process-product.js). De paso
+ * olvida las entregas de webhook antiguas. Recorre todas las tiendas del
+ * registro (lib/shops.js).
+ */
+export const handler = async (event) => {
+  await connectStores(event);
+  // Una tienda mal configurada no deja sin reintentos a las demás
+  const shops = await forEachShop(async (domain) => {
+    try {
+      return await retryPending();
+    } catch (error) {
+      console.error(`Error en la tienda ${domain || 'SHOPIFY_SHOP'}:`, error.message);
+      return { shop: domain, error: error.message, pending: 0, processed: 0, pruned: 0 };
+    }
+  });
+
+  const total = (key) => shops.reduce((sum, shop) => sum + shop[key], 0);
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ pending: total('pending'), processed: total('processed'), pruned: total('pruned'), shops })
+  };
+};
@@ -0,0 +1,123 @@
+// test/barcode-registry.test.js
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { allocateBarcodes, readRegistry, registryOptionsFromEnv } from "../lib/barcode-registry.js";
+import { barcodeFormatFor, loadBarcodeRules } from "../lib/barcode-rules.js";
+import { isValidGtin } from "../lib/gtin.js";
+import { createMemoryStore, storeBackendFromEnv } from "../lib/store.js";
+
+const tempRegistry = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), "barcodes-")), "registry.json");
+
+describe("allocateBarcodes", () => {
+  it("genera cada simbología con su propio contador", async () => {
+    const registryPath = tempRegistry();
+    const cases = [
+      ["ean-13", "200", 13],
+      ["upc-a", "2", 12],
+      ["ean-8", "2", 8],
+      ["gtin-14", "1200", 14],
+    ];
+
+    for (const [symbology, prefix, length] of cases) {
+      const assigned = await allocateBarcodes(1, [`${symbology}-1`, `${symbology}-2`], { prefix, symbology, registryPath });
+      for (const code of assigned.values()) {
+        assert.equal(code.length, length, code);
+        assert.equal(isValidGtin(code, symbology), true, code);
+      }
+    }
+
+    const { counters } = await readRegistry(registryPath);
+    assert.deepEqual(counters, { 200: 2, "upc-a:2": 2, "ean-8:2": 2, "gtin-14:1200": 2 });
+  });
+
+  it("devuelve el mismo código a una variante que ya lo recibió", async () => {
+    const registryPath = tempRegistry();
+    const first = await allocateBarcodes(1, [10], { symbology: "upc-a", prefix: "2", registryPath });
+    const again = await allocateBarcodes(1, [10], { symbology: "upc-a", prefix: "2", registryPath });
+    assert.equal(again.get(10), first.get(10));
+  });
+
+  it("salta los códigos que ya existen", async () => {
+    const registryPath = tempRegistry();
+    const assigned = await allocateBarcodes(1, [10], {
+      symbology: "ean-8",
+      prefix: "2",
+      registryPath,
+      existing: new Set(["20000004"]),
+    });
+    assert.equal(assigned.get(10), "20000011");
+  });
+});
+
+describe("registro compartido", () => {
+  it("con un almacén, dos procesos a la vez nunca reciben el mismo código", async () => {
+    const store = createMemoryStore();
+    const isTaken = async () => false;
+    const [webhook, batch] = await Promise.all([
+      allocateBarcodes(1, [10, 11], { store, isTaken, source: "webhook" }),
+      allocateBarcodes(2, [20, 21], { store, isTaken, source: "batch" }),
+    ]);
+
+    const codes = [...webhook.values(), ...batch.values()];
+    assert.equal(new Set(codes).size, 4);
+    assert.equal((await readRegistry({ store })).counters[200], 4);
+  });
+
+  it("en Netlify el estado y el registro van por defecto a Netlify Blobs", () => {
+    assert.equal(storeBackendFromEnv({}), "file");
+    assert.equal(storeBackendFromEnv({ NETLIFY: "true" }), "netlify-blobs");
+    assert.equal(storeBackendFromEnv({ NETLIFY: "true", STATE_STORE: "memory" }), "memory");
+    assert.equal(registryOptionsFromEnv({}).store, null);
+    assert.ok(registryOptionsFromEnv({ NETLIFY: "true" }).store);
+  });
+
+  it("en Netlify no admite un registro en archivo local", async () => {
+    process.env.NETLIFY = "true";
+    try {
+      await assert.rejects(allocateBarcodes(1, [10], { registryPath: tempRegistry() }), /STATE_STORE=netlify-blobs/);
+    } finally {
+      delete process.env.NETLIFY;
+    }
+  });
+});
+
+describe("barcodeFormatFor", () => {
+  const rulesPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "barcode-rules-")), "rules.json");
+  fs.writeFileSync(
+    rulesPath,
+    JSON.stringify({
+      prefixes: { "gtin-14": "3200" },
+      rules: [
+        { name: "us", priority: 20, match: { tags: ["US-Reseller"] }, symbology: "upc-a" },
+        { name: "small", priority: 10, match: { productTypes: ["Accessories"] }, symbology: "ean-8", prefix: "21" },
+        { name: "cases", match: { vendors: ["Bulk Co"] }, symbology: "gtin-14" },
+      ],
+    })
+  );
+  const config = loadBarcodeRules(rulesPath, { BARCODE_PREFIX: "250" });
+
+  it("elige la simbología por tag, tipo de producto o vendor", () => {
+    assert.deepEqual(barcodeFormatFor({ tags: "us-reseller, x", product_type: "Accessories" }, config), {
+      symbology: "upc-a",
+      prefix: "2",
+    });
+    assert.deepEqual(barcodeFormatFor({ tags: "", product_type: "accessories" }, config), {
+      symbology: "ean-8",
+      prefix: "21",
+    });
+    assert.deepEqual(barcodeFormatFor({ tags: "", vendor: "Bulk Co" }, config), { symbology: "gtin-14", prefix: "3200" });
+  });
+
+  it("usa EAN-13 con BARCODE_PREFIX si ninguna regla aplica", () => {
+    assert.deepEqual(barcodeFormatFor({ tags: "water-slides" }, config), { symbology: "ean-13", prefix: "250" });
+  });
+
+  it("rechaza simbologías desconocidas", () => {
+    const bad = path.join(path.dirname(rulesPath), "bad.json");
+    fs.writeFileSync(bad, JSON.stringify({ rules: [{ match: { tags: ["x"] }, symbology: "qr" }] }));
+    assert.throws(() => loadBarcodeRules(bad), /desconocida "qr"/);
+  });
+});
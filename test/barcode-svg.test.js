@@ -0,0 +1,86 @@
+// test/barcode-svg.test.js
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { eanModules, itfWidths, renderBarcodeSvg } from "../lib/barcode-svg.js";
+
+const L = ["0001101", "0011001", "0010011", "0111101", "0100011", "0110001", "0101111", "0111011", "0110111", "0001011"];
+const R = L.map((c) => [...c].map((b) => (b === "1" ? "0" : "1")).join(""));
+const G = R.map((c) => [...c].reverse().join(""));
+const PARITY = ["LLLLLL", "LLGLGG", "LLGGLG", "LLGGGL", "LGLLGG", "LGGLLG", "LGGGLL", "LGLGLG", "LGLGGL", "LGGLGL"];
+
+// Lector mínimo: módulos → dígitos, comprobando las guardas
+function decodeEan(modules) {
+  const half = (modules.length - 11) / 14;
+  assert.equal(modules.slice(0, 3), "101");
+  assert.equal(modules.slice(3 + half * 7, 8 + half * 7), "01010");
+  assert.equal(modules.slice(-3), "101");
+
+  let parity = "";
+  let digits = "";
+  for (let i = 0; i < half; i++) {
+    const chunk = modules.slice(3 + i * 7, 10 + i * 7);
+    const l = L.indexOf(chunk);
+    parity += l >= 0 ? "L" : "G";
+    digits += l >= 0 ? l : G.indexOf(chunk);
+  }
+  for (let i = 0; i < half; i++) {
+    const start = 8 + half * 7 + i * 7;
+    digits += R.indexOf(modules.slice(start, start + 7));
+  }
+  return half === 4 ? digits : `${PARITY.indexOf(parity)}${digits}`;
+}
+
+describe("eanModules", () => {
+  it("codifica EAN-13 con la paridad del primer dígito", () => {
+    const { modules } = eanModules("4006381333931");
+    assert.equal(modules.length, 95);
+    assert.equal(decodeEan(modules), "4006381333931");
+  });
+
+  it("codifica UPC-A como EAN-13 con un 0 delante", () => {
+    const { modules, text } = eanModules("036000291452");
+    assert.equal(decodeEan(modules), "0036000291452");
+    assert.deepEqual(
+      text.map((t) => t.digits),
+      ["0", "36000", "29145", "2"]
+    );
+  });
+
+  it("codifica EAN-8", () => {
+    const { modules } = eanModules("96385074");
+    assert.equal(modules.length, 67);
+    assert.equal(decodeEan(modules), "96385074");
+  });
+
+  it("rechaza códigos con dígito de control incorrecto", () => {
+    assert.throws(() => eanModules("4006381333932"), /inválido/);
+  });
+});
+
+describe("itfWidths", () => {
+  it("codifica ITF-14: inicio, 7 pares y fin", () => {
+    const widths = itfWidths("10614141000415");
+    assert.equal(widths.length, 4 + 7 * 10 + 3);
+    assert.deepEqual(widths.slice(0, 4), [1, 1, 1, 1]);
+    // Cada par de dígitos tiene exactamente 2 barras y 2 espacios anchos
+    for (let i = 4; i < 74; i += 10) {
+      const pair = widths.slice(i, i + 10);
+      assert.equal(pair.filter((w, j) => j % 2 === 0 && w > 1).length, 2);
+      assert.equal(pair.filter((w, j) => j % 2 === 1 && w > 1).length, 2);
+    }
+  });
+});
+
+describe("renderBarcodeSvg", () => {
+  it("genera un SVG con barras y dígitos", () => {
+    const svg = renderBarcodeSvg("2000000000008");
+    assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    assert.match(svg, /<text[^>]*>000000<\/text>/);
+    assert.ok((svg.match(/<rect /g) || []).length > 20);
+  });
+
+  it("usa ITF-14 para GTIN-14", () => {
+    const svg = renderBarcodeSvg("10614141000415", { text: false });
+    assert.doesNotMatch(svg, /<text/);
+  });
+});
@@ -0,0 +1,85 @@
+// test/cli.test.js
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it, mock } from "node:test";
+import { runCli } from "../lib/cli.js";
+import { startFakeShopify } from "./helpers/fake-shopify.js";
+
+describe("códigos de salida del CLI", () => {
+  let dir;
+
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cli-"));
+    Object.assign(process.env, {
+      SHOPS_CONFIG_PATH: path.join(dir, "shops.json"),
+      SHOPIFY_SHOP: "cli.myshopify.com",
+      STATE_DIR: dir,
+    });
+  });
+
+  it("2 para opciones, filtros o tiendas inválidos", async () => {
+    assert.equal(await runCli(["descriptions", "--limit", "0"]), 2);
+    assert.equal(await runCli(["barcodes", "--status", "borrado"]), 2);
+    assert.equal(await runCli(["rollback", "--only", "todo"]), 2);
+    assert.equal(await runCli(["seo", "--shop", "otra.myshopify.com"]), 2);
+    assert.equal(await runCli(["labels", "--skip", "-1"]), 2);
+    assert.equal(await runCli(["labels", "--skip", "1.5"]), 2);
+  });
+
+  it("1 para los fallos al ejecutar", async () => {
+    // Carpeta de instantáneas ilegible: el comando lanza al ejecutarse
+    const notADir = path.join(dir, "no-es-carpeta");
+    fs.writeFileSync(notADir, "");
+    process.env.SNAPSHOT_DIR = notADir;
+    try {
+      assert.equal(await runCli(["rollback", "--list"]), 1);
+    } finally {
+      delete process.env.SNAPSHOT_DIR;
+    }
+
+    // --skip 0 es válido: llega a ejecutarse y falla por la instantánea
+    assert.equal(await runCli(["labels", "--snapshot", "no-existe"]), 1);
+    assert.equal(await runCli(["labels", "--snapshot", "no-existe", "--skip", "0"]), 1);
+  });
+});
+
+describe("pasadas del CLI", () => {
+  let fake;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+
+    fake = await startFakeShopify({
+      products: [{ id: 1, title: "Tropical Splash", tags: "water-slides", body_html: "", variants: [{ id: 10, barcode: "", sku: "" }] }],
+    });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cli-passes-"));
+    Object.assign(process.env, fake.env, {
+      SHOPS_CONFIG_PATH: path.join(dir, "shops.json"),
+      STATE_DIR: dir,
+      BARCODE_REGISTRY_PATH: path.join(dir, "registry.json"),
+    });
+  });
+
+  after(() => fake.close());
+
+  it("descriptions y barcodes solo escriben el SEO y los SKU si se piden", async () => {
+    assert.equal(await runCli(["descriptions", "--yes"]), 0);
+    assert.match(fake.product(1).body_html, /Tropical Splash/);
+    assert.ok(!fake.product(1).seo?.title);
+
+    assert.equal(await runCli(["barcodes", "--yes"]), 0);
+    assert.ok(fake.product(1).variants[0].barcode);
+    assert.equal(fake.product(1).variants[0].sku, "");
+
+    assert.equal(await runCli(["descriptions", "--seo", "--yes"]), 0);
+    assert.match(fake.product(1).seo.title, /^Tropical Splash/);
+    assert.equal(await runCli(["barcodes", "--skus", "--yes"]), 0);
+    assert.notEqual(fake.product(1).variants[0].sku, "");
+  });
+});
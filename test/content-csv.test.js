@@ -0,0 +1,90 @@
+// test/content-csv.test.js
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it, mock } from "node:test";
+import { exportContent, importContent, readContentCsv } from "../lib/content-csv.js";
+import { parseCsv, toCsv } from "../lib/csv.js";
+import { startFakeShopify } from "./helpers/fake-shopify.js";
+
+describe("parseCsv", () => {
+  it("lee lo que escribe toCsv, con BOM, CRLF y ; como separador", () => {
+    const rows = [
+      { id: "1", text: 'Dice "hola", y\nsigue' },
+      { id: "2", text: " con espacios " },
+    ];
+    assert.deepEqual(parseCsv(`\uFEFF${toCsv(rows)}`), rows);
+    assert.deepEqual(parseCsv("id;custom.warranty\r\n1;2 años\r\n\r\n"), [{ id: "1", "custom.warranty": "2 años" }]);
+    assert.throws(() => parseCsv('id\n"1'), /falta cerrar unas comillas/);
+  });
+});
+
+describe("export/import de contenido", () => {
+  let fake;
+  let dir;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+
+    fake = await startFakeShopify({
+      products: [
+        {
+          id: 1,
+          title: "Tropical Splash",
+          tags: "water-slides",
+          body_html: "<p>Hand written</p>",
+          variants: [{ id: 10, barcode: "2000000000008", sku: "TS-1" }],
+          metafields: [{ namespace: "custom", key: "dimensions", value: "30' L x 12' W" }],
+        },
+        { id: 2, title: "Sin regla", tags: "otros", body_html: "", variants: [{ id: 20, barcode: "", sku: "" }] },
+      ],
+    });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "content-"));
+    Object.assign(process.env, fake.env, { STATE_DIR: dir, DRY_RUN_OUTPUT: path.join(dir, "dry-run.json") });
+  });
+
+  after(() => fake.close());
+
+  it("exporta los productos con categoría e importa los metacampos rellenados", async () => {
+    const file = path.join(dir, "content.csv");
+    const exported = await exportContent({ output: file });
+    assert.deepEqual(exported, { products: 1, empty: 1, file });
+
+    const [row] = parseCsv(fs.readFileSync(file, "utf8"));
+    assert.equal(row.product_id, "1");
+    assert.equal(row.category, "water-slides");
+    assert.equal(row["custom.dimensions"], "30' L x 12' W");
+    assert.equal(row["custom.warranty"], "");
+    assert.equal(row.barcodes, "2000000000008");
+
+    // El equipo rellena la garantía en la hoja de cálculo
+    fs.writeFileSync(file, toCsv([{ ...row, "custom.warranty": "3 years" }], Object.keys(row)));
+
+    const simulated = await importContent({ file, dryRun: true });
+    assert.equal(simulated.changes, 1);
+    assert.equal(fake.product(1).metafields.length, 1);
+
+    const result = await importContent({ file });
+    assert.equal(result.updated, 1);
+    // El catálogo se lee entero, sin una búsqueda con un término por fila
+    assert.ok(!fake.requests.some((r) => /id:1\b/.test(JSON.stringify(r.variables))));
+    const product = fake.product(1);
+    assert.equal(product.metafields.find((m) => m.key === "warranty").value, "3 years");
+    assert.match(product.body_html, /^<p>Hand written<\/p>/);
+    assert.match(product.body_html, /3 years/);
+
+    // Volver a importar el mismo archivo no cambia nada
+    assert.equal((await importContent({ file })).skipped, 1);
+  });
+
+  it("rechaza un CSV sin product_id válido antes de tocar nada", () => {
+    const file = path.join(dir, "bad.csv");
+    fs.writeFileSync(file, "product_id,custom.warranty\nabc,1 year\n");
+    assert.throws(() => readContentCsv(file), /:2: ID de producto inválido "abc"/);
+
+    fs.writeFileSync(file, "product_id,title\n1,Tropical Splash\n");
+    assert.throws(() => readContentCsv(file), /no hay columnas de metacampos/);
+  });
+});
@@ -0,0 +1,84 @@
+// test/gtin.test.js
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  DEFAULT_PREFIXES,
+  buildGtin,
+  detectSymbology,
+  gtinCapacity,
+  gtinCheckDigit,
+  isValidGtin,
+  validatePrefix,
+} from "../lib/gtin.js";
+
+// Códigos de ejemplo publicados por GS1 y fabricantes
+const KNOWN = {
+  "ean-13": ["4006381333931", "5901234123457"],
+  "upc-a": ["036000291452", "012345678905"],
+  "ean-8": ["96385074", "73513537"],
+  "gtin-14": ["00012345600012", "10614141000415"],
+};
+
+for (const [symbology, codes] of Object.entries(KNOWN)) {
+  describe(symbology, () => {
+    it("calcula el dígito de control", () => {
+      for (const code of codes) {
+        assert.equal(gtinCheckDigit(code.slice(0, -1)), Number(code.at(-1)), code);
+      }
+    });
+
+    it("valida los códigos correctos y detecta la simbología", () => {
+      for (const code of codes) {
+        assert.equal(isValidGtin(code), true, code);
+        assert.equal(isValidGtin(code, symbology), true, code);
+        assert.equal(detectSymbology(code), symbology, code);
+      }
+    });
+
+    it("rechaza un dígito de control alterado", () => {
+      for (const code of codes) {
+        const wrong = code.slice(0, -1) + ((Number(code.at(-1)) + 1) % 10);
+        assert.equal(isValidGtin(wrong, symbology), false, wrong);
+      }
+    });
+
+    it("genera códigos válidos con el prefijo por defecto", () => {
+      const prefix = DEFAULT_PREFIXES[symbology];
+      validatePrefix(prefix, symbology);
+
+      for (const sequence of [0, 1, 42, gtinCapacity(prefix, symbology) - 1]) {
+        const code = buildGtin(prefix, sequence, symbology);
+        assert.equal(isValidGtin(code, symbology), true, code);
+        assert.ok(code.startsWith(prefix), code);
+      }
+    });
+
+    it("no genera fuera del rango del prefijo", () => {
+      const prefix = DEFAULT_PREFIXES[symbology];
+      assert.throws(() => buildGtin(prefix, gtinCapacity(prefix, symbology), symbology));
+    });
+  });
+}
+
+describe("validaciones comunes", () => {
+  it("no acepta caracteres que no son dígitos ni longitudes desconocidas", () => {
+    assert.equal(isValidGtin("40063813339A1"), false);
+    assert.equal(isValidGtin("12345"), false);
+    assert.equal(detectSymbology("12345"), null);
+  });
+
+  it("exige la longitud de la simbología indicada", () => {
+    assert.equal(isValidGtin("036000291452", "ean-13"), false);
+  });
+
+  it("valida los prefijos de cada simbología", () => {
+    assert.doesNotThrow(() => validatePrefix("299", "ean-13"));
+    assert.doesNotThrow(() => validatePrefix("0614141", "ean-13"));
+    assert.throws(() => validatePrefix("300", "ean-13"), /200 y 299/);
+    assert.doesNotThrow(() => validatePrefix("4", "upc-a"));
+    assert.throws(() => validatePrefix("3", "upc-a"));
+    assert.throws(() => validatePrefix("5", "ean-8"));
+    assert.throws(() => validatePrefix("9200", "gtin-14"), /indicador/);
+    assert.throws(() => validatePrefix("200", "code-128"), /desconocida/);
+  });
+});
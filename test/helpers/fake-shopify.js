@@ -0,0 +1,374 @@
+// test/helpers/fake-shopify.js
+import crypto from "node:crypto";
+import http from "node:http";
+
+const gid = (type, id) => `gid://shopify/${type}/${id}`;
+const idOf = (value) => Number(String(value).split("/").pop());
+
+// Consultas de variantes `barcode:X` o `sku:"X"` (ver barcodeExists/skuExists)
+function parseVariantSearch(q) {
+  const match = /^(barcode|sku):(.*)$/.exec(q || "");
+  if (!match) return null;
+  const raw = match[2].trim();
+  return { field: match[1], value: raw.startsWith('"') ? JSON.parse(raw) : raw };
+}
+
+function variantNode(variant) {
+  return {
+    id: gid("ProductVariant", variant.id),
+    title: variant.title ?? "Default Title",
+    sku: variant.sku ?? "",
+    barcode: variant.barcode ?? "",
+    price: variant.price ?? "0.00",
+    selectedOptions: [variant.option1, variant.option2, variant.option3]
+      .filter((value) => value != null)
+      .map((value, i) => ({ name: `Option${i + 1}`, value })),
+  };
+}
+
+const digest = (value) => crypto.createHash("sha256").update(String(value)).digest("hex");
+
+// Contenido traducible de un producto (solo los campos que usa lib/)
+const translatableContent = (product) =>
+  [
+    ["title", product.title],
+    ["body_html", product.body_html],
+  ].filter(([, value]) => value);
+
+function metafieldNode(product, metafield, index) {
+  return { id: gid("Metafield", product.id * 1000 + index), type: "single_line_text_field", ...metafield };
+}
+
+// Producto con la forma de los webhooks (REST) → nodo GraphQL
+function productFields(product) {
+  return {
+    id: gid("Product", product.id),
+    title: product.title,
+    handle: product.handle ?? String(product.title).toLowerCase().replace(/[^a-z0-9]+/g, "-"),
+    vendor: product.vendor ?? "",
+    productType: product.product_type ?? "",
+    status: String(product.status || "active").toUpperCase(),
+    tags: String(product.tags || "").split(",").map((t) => t.trim()).filter(Boolean),
+    descriptionHtml: product.body_html ?? "",
+    createdAt: product.created_at ?? "2024-01-01T00:00:00Z",
+    seo: { title: product.seo?.title ?? null, description: product.seo?.description ?? null },
+  };
+}
+
+function productNode(product) {
+  return {
+    ...productFields(product),
+    variants: { edges: product.variants.map((v) => ({ node: variantNode(v) })) },
+    metafields: { edges: (product.metafields || []).map((m, i) => ({ node: metafieldNode(product, m, i) })) },
+  };
+}
+
+/**
+ * 🔏 Firma HMAC (base64) de un webhook, como la envía Shopify
+ */
+export function signWebhook(body, secret) {
+  return crypto.createHmac("sha256", secret).update(body, "utf8").digest("base64");
+}
+
+/**
+ * 📨 Evento de Netlify con un webhook de producto firmado
+ *
+ * `hmac` fuerza otra firma (o null para no enviarla) y `body` otro cuerpo.
+ */
+export function webhookEvent(product, { secret, shop, topic = "products/create", webhookId = crypto.randomUUID(), method = "POST", body, hmac } = {}) {
+  const raw = body ?? JSON.stringify(product);
+  const headers = {
+    "content-type": "application/json",
+    "x-shopify-topic": topic,
+    "x-shopify-shop-domain": shop,
+    "x-shopify-webhook-id": webhookId,
+  };
+  const signature = hmac === undefined ? secret && signWebhook(raw, secret) : hmac;
+  if (signature) headers["x-shopify-hmac-sha256"] = signature;
+  return { httpMethod: method, headers, body: raw, isBase64Encoded: false };
+}
+
+/**
+ * 🧪 Shopify falso en el mismo proceso
+ *
+ * Atiende las operaciones GraphQL de lib/shopify.js sobre una lista de
+ * productos con la forma REST de los webhooks (que se modifica al escribir).
+ * `pageSize` fuerza la paginación de ProductsPage; `throttle(n)` responde 429
+ * a las n siguientes peticiones y `fail(operación, { when, message, status, code })`
+ * hace fallar una operación (`code`: extensions.code del error GraphQL). La búsqueda `query` de productos se ignora.
+ * `locales` son los idiomas publicados; las traducciones registradas se leen
+ * con `translation(id, idioma)`.
+ */
+export async function startFakeShopify({
+  products = [],
+  collections = [],
+  pageSize = 50,
+  locales = ["en"],
+  shop = "fake-shop.myshopify.com",
+  token = "shpat_test",
+} = {}) {
+  const state = {
+    products: structuredClone(products),
+    requests: [],
+    throttled: 0,
+    retryAfter: "0",
+    failures: [],
+    bulkInProgress: false,
+    bulkOperations: new Map(),
+    translations: new Map(),
+  };
+  let url;
+
+  const findProduct = (id) => state.products.find((p) => p.id === idOf(id)) || null;
+  const allVariants = () => state.products.flatMap((p) => p.variants);
+
+  const operations = {
+    BulkRunQuery() {
+      if (state.bulkInProgress) {
+        return {
+          bulkOperationRunQuery: {
+            bulkOperation: null,
+            userErrors: [{ field: null, message: "A bulk query operation for this app and shop is already in progress" }],
+          },
+        };
+      }
+      const id = gid("BulkOperation", state.bulkOperations.size + 1);
+      // La operación termina al instante con una foto de los productos
+      const lines = state.products.flatMap((product) => [
+        productFields(product),
+        ...product.variants.map((v) => ({ ...variantNode(v), __parentId: gid("Product", product.id) })),
+        ...(product.metafields || []).map((m, i) => ({ ...metafieldNode(product, m, i), __parentId: gid("Product", product.id) })),
+      ]);
+      state.bulkOperations.set(id, lines);
+      return { bulkOperationRunQuery: { bulkOperation: { id, status: "CREATED" }, userErrors: [] } };
+    },
+
+    BulkOperationStatus({ id }) {
+      const lines = state.bulkOperations.get(id);
+      return {
+        node: {
+          id,
+          status: "COMPLETED",
+          errorCode: null,
+          objectCount: String(lines.length),
+          url: lines.length ? `${url}/bulk/${idOf(id)}.jsonl` : null,
+        },
+      };
+    },
+
+    ProductsPage({ after }) {
+      const start = after ? Number(after) : 0;
+      const page = state.products.slice(start, start + pageSize);
+      const end = start + page.length;
+      return {
+        products: {
+          edges: page.map((p) => ({ node: productNode(p) })),
+          pageInfo: { hasNextPage: end < state.products.length, endCursor: String(end) },
+        },
+      };
+    },
+
+    Product({ id }) {
+      const product = findProduct(id);
+      return { product: product && productNode(product) };
+    },
+
+    ProductMetafields({ id }) {
+      const product = findProduct(id);
+      return { product: product && { metafields: productNode(product).metafields } };
+    },
+
+    CollectionByHandle({ q }) {
+      const handle = q.replace(/^handle:/, "").replace(/"/g, "");
+      const found = collections.filter((c) => c.handle === handle);
+      return { collections: { edges: found.map((c) => ({ node: { id: gid("Collection", c.id), handle: c.handle } })) } };
+    },
+
+    ProductUpdate({ product: input }) {
+      const product = findProduct(input.id);
+      if (!product) {
+        return { productUpdate: { product: null, userErrors: [{ field: ["id"], message: "Product does not exist" }] } };
+      }
+      if (input.descriptionHtml !== undefined) product.body_html = input.descriptionHtml;
+      if (input.seo) product.seo = { ...product.seo, ...input.seo };
+      for (const { namespace, key, type, value } of input.metafields || []) {
+        product.metafields = (product.metafields || []).filter((m) => m.namespace !== namespace || m.key !== key);
+        product.metafields.push({ namespace, key, value, ...(type && { type }) });
+      }
+      return { productUpdate: { product: productNode(product), userErrors: [] } };
+    },
+
+    VariantsBulkUpdate({ productId, variants }) {
+      const product = findProduct(productId);
+      const missing = variants.filter((v) => !product?.variants.some((x) => x.id === idOf(v.id)));
+      if (!product || missing.length) {
+        return {
+          productVariantsBulkUpdate: {
+            product: null,
+            userErrors: [{ field: ["variants"], message: product ? "Product variant does not exist" : "Product does not exist" }],
+          },
+        };
+      }
+      for (const { id, inventoryItem, ...fields } of variants) {
+        const variant = product.variants.find((x) => x.id === idOf(id));
+        Object.assign(variant, fields);
+        if (inventoryItem?.sku !== undefined) variant.sku = inventoryItem.sku;
+      }
+      return { productVariantsBulkUpdate: { product: productNode(product), userErrors: [] } };
+    },
+
+    MetafieldsDelete({ metafields }) {
+      const deleted = [];
+      for (const { ownerId, namespace, key } of metafields) {
+        const product = findProduct(ownerId);
+        const before = product?.metafields?.length ?? 0;
+        if (product) product.metafields = product.metafields.filter((m) => m.namespace !== namespace || m.key !== key);
+        if (product && product.metafields.length < before) deleted.push({ namespace, key });
+      }
+      return { metafieldsDelete: { deletedMetafields: deleted, userErrors: [] } };
+    },
+
+    ShopLocales() {
+      return { shopLocales: locales.map((locale, i) => ({ locale, primary: i === 0, published: true })) };
+    },
+
+    TranslatableResource({ id, locale }) {
+      const product = findProduct(id);
+      if (!product) return { translatableResource: null };
+      const translated = state.translations.get(product.id)?.[locale] || {};
+      return {
+        translatableResource: {
+          translatableContent: translatableContent(product).map(([key, value]) => ({ key, value, digest: digest(value) })),
+          translations: Object.entries(translated).map(([key, t]) => ({
+            key,
+            value: t.value,
+            outdated: t.digest !== digest(product[key]),
+          })),
+        },
+      };
+    },
+
+    TranslationsRegister({ resourceId, translations }) {
+      const product = findProduct(resourceId);
+      const content = new Map(product ? translatableContent(product) : []);
+      const invalid = translations.find((t) => !content.has(t.key) || digest(content.get(t.key)) !== t.translatableContentDigest);
+      if (!product || invalid) {
+        const message = product ? `Translatable content hash is invalid for key ${invalid.key}` : "Resource does not exist";
+        return { translationsRegister: { translations: null, userErrors: [{ field: ["translations"], message }] } };
+      }
+      const byLocale = state.translations.get(product.id) || {};
+      for (const { locale, key, value, translatableContentDigest } of translations) {
+        byLocale[locale] = { ...byLocale[locale], [key]: { value, digest: translatableContentDigest } };
+      }
+      state.translations.set(product.id, byLocale);
+      return { translationsRegister: { translations: translations.map(({ key, locale }) => ({ key, locale })), userErrors: [] } };
+    },
+
+    TranslationsRemove({ resourceId, translationKeys, locales: removed }) {
+      const product = findProduct(resourceId);
+      if (!product) {
+        return { translationsRemove: { translations: null, userErrors: [{ field: ["resourceId"], message: "Resource does not exist" }] } };
+      }
+      const byLocale = state.translations.get(product.id) || {};
+      const translations = [];
+      for (const locale of removed) {
+        for (const key of translationKeys) {
+          if (!byLocale[locale]?.[key]) continue;
+          delete byLocale[locale][key];
+          translations.push({ key, locale });
+        }
+      }
+      return { translationsRemove: { translations, userErrors: [] } };
+    },
+
+    BarcodeExists({ q }) {
+      const search = parseVariantSearch(q);
+      const found = allVariants().filter((v) => (v[search.field] || "") === search.value);
+      return { productVariants: { edges: found.slice(0, 1).map((v) => ({ node: { id: gid("ProductVariant", v.id) } })) } };
+    },
+  };
+  operations.SkuExists = operations.BarcodeExists;
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(typeof body === "string" ? body : JSON.stringify(body));
+  };
+
+  const handle = (req, res, raw) => {
+    const bulk = /^\/bulk\/(\d+)\.jsonl$/.exec(req.url);
+    if (bulk) {
+      const lines = state.bulkOperations.get(gid("BulkOperation", bulk[1])) || [];
+      res.writeHead(200, { "Content-Type": "application/jsonl" });
+      return res.end(lines.map((line) => JSON.stringify(line)).join("\n") + "\n");
+    }
+
+    if (!/^\/admin\/api\/[\w-]+\/graphql\.json$/.test(req.url) || req.method !== "POST") {
+      return send(res, 404, { errors: "Not Found" });
+    }
+    if (req.headers["x-shopify-access-token"] !== token) {
+      return send(res, 401, { errors: "[API] Invalid API key or access token (unrecognized login or wrong password)" });
+    }
+
+    const { query, variables = {} } = JSON.parse(raw);
+    const operation = /(?:query|mutation)\s+(\w+)/.exec(query)?.[1];
+    state.requests.push({ operation, variables });
+
+    if (state.throttled > 0) {
+      state.throttled--;
+      return send(res, 429, { errors: "Exceeded 2 calls per second for api client." }, { "Retry-After": state.retryAfter });
+    }
+
+    const failure = state.failures.find((f) => f.operation === operation && f.times > 0 && (!f.when || f.when(variables)));
+    if (failure) {
+      failure.times--;
+      if (failure.status) return send(res, failure.status, { errors: failure.message || "Internal Server Error" });
+      const error = { message: failure.message || `${operation} falló`, ...(failure.code && { extensions: { code: failure.code } }) };
+      return send(res, 200, { errors: [error] });
+    }
+
+    if (!operations[operation]) {
+      return send(res, 200, { errors: [{ message: `Operación no soportada por el Shopify falso: ${operation}` }] });
+    }
+    return send(res, 200, {
+      data: operations[operation](variables),
+      extensions: {
+        cost: {
+          requestedQueryCost: 10,
+          throttleStatus: { maximumAvailable: 2000, currentlyAvailable: 1990, restoreRate: 100 },
+        },
+      },
+    });
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => handle(req, res, raw));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    shop,
+    products: state.products,
+    requests: state.requests,
+    /** Variables de entorno para que lib/ use este servidor */
+    env: { SHOPIFY_SHOP: shop, SHOPIFY_ADMIN_TOKEN: token, SHOPIFY_API_URL: url },
+    product: (id) => findProduct(id),
+    translation: (id, locale, key = "body_html") => state.translations.get(id)?.[locale]?.[key]?.value ?? null,
+    operations: () => state.requests.map((r) => r.operation),
+    throttle(count, retryAfter = "0") {
+      state.throttled = count;
+      state.retryAfter = retryAfter;
+    },
+    fail(operation, { when = null, message = null, status = null, code = null, times = Infinity } = {}) {
+      state.failures.push({ operation, when, message, status, code, times });
+    },
+    setBulkInProgress(value) {
+      state.bulkInProgress = value;
+    },
+    webhookEvent: (product, options = {}) => webhookEvent(product, { shop, ...options }),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
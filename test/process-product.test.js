@@ -0,0 +1,131 @@
+// test/process-product.test.js
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, before, beforeEach, describe, it, mock } from "node:test";
+import { shopifyConfigFromEnv } from "../lib/config.js";
+import { buildGtin } from "../lib/gtin.js";
+import { processProduct } from "../lib/process-product.js";
+import { createShopifyClient } from "../lib/shopify.js";
+import { createMemoryStore } from "../lib/store.js";
+import { productSyncHash } from "../lib/sync-marker.js";
+import { startFakeShopify } from "./helpers/fake-shopify.js";
+
+const metafields = [
+  { namespace: "custom", key: "dimensions", value: "30' L x 12' W x 18' H" },
+  { namespace: "custom", key: "includes", value: "Blower, stakes" },
+  { namespace: "custom", key: "warranty", value: "3 years" },
+];
+
+// Otro producto ya usa el primer código que daría el registro
+const existing = { id: 1, title: "Ya codificado", variants: [{ id: 10, barcode: buildGtin("200", 0), sku: "OLD-1" }] };
+
+const newProduct = () => ({
+  id: 2,
+  title: "Tropical Splash",
+  handle: "tropical-splash",
+  tags: "water-slides",
+  body_html: "<p>Texto escrito a mano</p>",
+  variants: [
+    { id: 20, barcode: "", sku: "", option1: "Rojo" },
+    { id: 21, barcode: "", sku: "MANUAL-21", option1: "Azul" },
+  ],
+  metafields,
+});
+
+describe("processProduct", () => {
+  let fake;
+  let client;
+
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+  });
+
+  beforeEach(async () => {
+    process.env.BARCODE_REGISTRY_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "registry-")), "registry.json");
+    fake = await startFakeShopify({ products: [existing, newProduct()] });
+    client = createShopifyClient(shopifyConfigFromEnv(fake.env));
+  });
+
+  afterEach(() => fake.close());
+
+  const run = (product = newProduct(), markers = createMemoryStore()) =>
+    processProduct(product, {
+      client,
+      metafieldAttempts: 1,
+      pending: createMemoryStore(),
+      markers,
+    });
+
+  // Lo informado y la marca anti-bucle tienen que coincidir con la tienda
+  const assertLanded = async (result, markers) => {
+    const inShopify = fake.product(2).variants.map((v) => v.barcode).filter(Boolean);
+    assert.deepEqual(result.barcodes, inShopify);
+    assert.equal((await markers.get("2")).hash, productSyncHash(await client.fetchProduct(2)));
+  };
+
+  it("asigna códigos únicos y SKU solo a las variantes que no tienen", async () => {
+    const result = await run();
+
+    assert.equal(result.success, true);
+    assert.equal(result.barcodesGenerated, 2);
+    const [red, blue] = fake.product(2).variants;
+    // El primero ya existe en Shopify: el registro lo salta
+    assert.equal(red.barcode, buildGtin("200", 1));
+    assert.equal(blue.barcode, buildGtin("200", 2));
+    assert.equal(red.sku, "WATER-TROPICAL-SPLASH-ROJO");
+    assert.equal(blue.sku, "MANUAL-21");
+  });
+
+  it("genera la descripción con los metacampos sin borrar el HTML propio", async () => {
+    const result = await run();
+
+    assert.equal(result.descriptionAdded, true);
+    const html = fake.product(2).body_html;
+    assert.match(html, /^<p>Texto escrito a mano<\/p>/);
+    assert.match(html, /The Tropical Splash is no exception/);
+    assert.match(html, /inflatable water slide from/);
+    assert.match(html, /<strong>Dimensions:<\/strong> 30&#39; L x 12&#39; W x 18&#39; H/);
+  });
+
+  it("si falla la actualización completa aplica solo las variantes", async () => {
+    fake.fail("ProductUpdate", { message: "Body html is too long" });
+    // La segunda variante también falla al reintentarla sola
+    fake.fail("VariantsBulkUpdate", { when: (v) => v.variants.length === 1 && v.variants[0].id.endsWith("/21") });
+
+    const markers = createMemoryStore();
+    const result = await run(newProduct(), markers);
+
+    assert.equal(result.partial, true);
+    assert.equal(result.success, true);
+    assert.equal(result.descriptionAdded, false);
+    assert.equal(result.barcodesGenerated, 1);
+    assert.deepEqual(result.barcodes, [buildGtin("200", 1)]);
+    assert.equal(fake.product(2).body_html, "<p>Texto escrito a mano</p>");
+    assert.deepEqual(fake.product(2).variants.map((v) => v.barcode), [buildGtin("200", 1), ""]);
+    await assertLanded(result, markers);
+  });
+
+  it("si fallan las variantes tras escribir la descripción lo informa todo", async () => {
+    // Falla la escritura conjunta de variantes; una a una sí entran
+    fake.fail("VariantsBulkUpdate", { when: (v) => v.variants.length > 1 });
+
+    const markers = createMemoryStore();
+    const result = await run(newProduct(), markers);
+
+    assert.equal(result.partial, true);
+    assert.equal(result.descriptionAdded, true);
+    assert.match(fake.product(2).body_html, /The Tropical Splash is no exception/);
+    assert.deepEqual(fake.product(2).variants.map((v) => v.barcode), [buildGtin("200", 1), buildGtin("200", 2)]);
+    await assertLanded(result, markers);
+  });
+
+  it("sin variantes que aplicar el error se propaga", async () => {
+    fake.fail("ProductUpdate", { message: "Internal error" });
+    const product = { ...newProduct(), variants: [{ id: 20, barcode: buildGtin("200", 9), sku: "X-20" }] };
+
+    await assert.rejects(run(product), /Internal error/);
+  });
+});
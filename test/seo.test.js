@@ -0,0 +1,96 @@
+// test/seo.test.js
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, before, beforeEach, describe, it, mock } from "node:test";
+import { shopifyConfigFromEnv } from "../lib/config.js";
+import { buildGtin } from "../lib/gtin.js";
+import { processProduct } from "../lib/process-product.js";
+import { matchCategory } from "../lib/rules.js";
+import { DEFAULT_SEO_CONFIG, seoUpdate, truncateText } from "../lib/seo.js";
+import { createShopifyClient } from "../lib/shopify.js";
+import { createMemoryStore } from "../lib/store.js";
+import { startFakeShopify } from "./helpers/fake-shopify.js";
+
+const metafields = [
+  { namespace: "custom", key: "dimensions", value: "30' L x 12' W" },
+  { namespace: "custom", key: "includes", value: "Blower" },
+  { namespace: "custom", key: "warranty", value: "3 years" },
+];
+
+const slide = (seo = { title: "", description: "" }) => ({
+  id: 1,
+  title: "Tropical Splash",
+  vendor: "Tago's Jump Inc.",
+  tags: "water-slides",
+  body_html: "",
+  seo,
+  variants: [{ id: 10, barcode: "", sku: "TS-1", price: "4999.00" }],
+  metafields,
+});
+
+describe("truncateText", () => {
+  it("recorta sin partir palabras y deja los textos cortos igual", () => {
+    assert.equal(truncateText("Tropical  Splash", 70), "Tropical Splash");
+    assert.equal(truncateText("Tropical Splash Water Slide", 20), "Tropical Splash…");
+    assert.ok(truncateText("x".repeat(200), 160).length <= 160);
+  });
+});
+
+describe("seoUpdate", () => {
+  it("rellena el SEO vacío y respeta el escrito a mano salvo con overwrite", () => {
+    const product = slide();
+    const category = matchCategory(product);
+    const generated = seoUpdate(product, { metafields, category, config: DEFAULT_SEO_CONFIG });
+
+    assert.ok(generated.seo.title.startsWith("Tropical Splash | "));
+    assert.ok(generated.seo.title.length <= 70);
+    assert.match(generated.seo.description, /Dimensions: 30' L x 12' W\. Warranty: 3 years\./);
+    assert.ok(generated.seo.description.length <= 160);
+
+    const manual = slide({ title: "Escrito a mano", description: "" });
+    assert.deepEqual(Object.keys(seoUpdate(manual, { metafields, category, config: DEFAULT_SEO_CONFIG }).seo), ["description"]);
+
+    const overwrite = { ...DEFAULT_SEO_CONFIG, title: { ...DEFAULT_SEO_CONFIG.title, overwrite: true } };
+    assert.equal(seoUpdate(manual, { metafields, category, config: overwrite }).seo.title, generated.seo.title);
+  });
+});
+
+describe("SEO en el webhook", () => {
+  let fake;
+  let client;
+
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+  });
+
+  beforeEach(async () => {
+    process.env.BARCODE_REGISTRY_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "registry-")), "registry.json");
+    fake = await startFakeShopify({ products: [slide()] });
+    client = createShopifyClient(shopifyConfigFromEnv(fake.env));
+  });
+
+  afterEach(() => fake.close());
+
+  const run = () =>
+    processProduct(fake.product(1), { client, metafieldAttempts: 1, pending: createMemoryStore(), markers: createMemoryStore() });
+
+  it("escribe el SEO y el JSON-LD con el GTIN recién asignado", async () => {
+    const result = await run();
+    assert.equal(result.seoUpdated, true);
+
+    const product = fake.product(1);
+    assert.ok(product.seo.title.startsWith("Tropical Splash | "));
+    const jsonLd = JSON.parse(product.metafields.find((m) => m.key === "json_ld").value);
+    assert.equal(jsonLd["@type"], "Product");
+    assert.equal(jsonLd.gtin13, buildGtin("200", 0));
+    assert.equal(jsonLd.offers.sku, "TS-1");
+    assert.equal(jsonLd.description, product.seo.description);
+
+    // La segunda vez ya está al día
+    const again = await run();
+    assert.equal(again.changes, false);
+  });
+});
@@ -0,0 +1,123 @@
+// test/shopify-client.test.js
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, describe, it, mock } from "node:test";
+import { shopifyConfigFromEnv } from "../lib/config.js";
+import { createShopifyClient, shopifyFetch } from "../lib/shopify.js";
+import { startFakeShopify } from "./helpers/fake-shopify.js";
+
+const products = Array.from({ length: 5 }, (_, i) => ({
+  id: i + 1,
+  title: `Producto ${i + 1}`,
+  tags: "water-slides",
+  variants: [{ id: (i + 1) * 10, barcode: i === 0 ? "2000000000008" : "", option1: "Rojo" }],
+  metafields: [{ namespace: "custom", key: "dimensions", value: `${i + 1}m` }],
+}));
+
+describe("cliente de Shopify contra el servidor falso", () => {
+  let fake;
+  let client;
+
+  before(async () => {
+    mock.method(console, "warn", () => {});
+    fake = await startFakeShopify({ products, pageSize: 2 });
+    client = createShopifyClient(shopifyConfigFromEnv(fake.env));
+  });
+
+  after(() => fake.close());
+
+  it("fetchAllProducts recorre todas las páginas", async () => {
+    const all = await client.fetchAllProducts({ bulk: false });
+
+    assert.deepEqual(all.map((p) => p.id), [1, 2, 3, 4, 5]);
+    assert.equal(fake.operations().filter((op) => op === "ProductsPage").length, 3);
+    assert.deepEqual(all[0].variants[0], {
+      id: 10,
+      title: "Default Title",
+      sku: "",
+      barcode: "2000000000008",
+      price: "0.00",
+      option1: "Rojo",
+      option2: null,
+      option3: null,
+    });
+    assert.deepEqual(all[2].metafields, [{ namespace: "custom", key: "dimensions", value: "3m", type: "single_line_text_field" }]);
+  });
+
+  it("fetchAllProducts reconstruye los productos de la operación masiva", async () => {
+    const all = await client.fetchAllProducts();
+
+    assert.deepEqual(all.map((p) => p.id), [1, 2, 3, 4, 5]);
+    assert.deepEqual(all[4].variants.map((v) => v.id), [50]);
+    assert.equal(all[4].metafields[0].value, "5m");
+  });
+
+  it("pagina si ya hay una operación masiva en curso", async () => {
+    fake.setBulkInProgress(true);
+    try {
+      const all = await client.fetchAllProducts();
+      assert.equal(all.length, 5);
+      assert.ok(fake.operations().includes("BulkRunQuery"));
+    } finally {
+      fake.setBulkInProgress(false);
+    }
+  });
+
+  it("espera y reintenta tras un 429 sin perder la respuesta", async () => {
+    fake.throttle(2);
+    const before = fake.requests.length;
+
+    const product = await client.fetchProduct(3);
+    assert.equal(product.title, "Producto 3");
+    assert.equal(fake.requests.length - before, 3);
+  });
+
+  it("THROTTLED de GraphQL no gasta los reintentos", async () => {
+    fake.fail("Product", { code: "THROTTLED", message: "Throttled", times: 7 });
+    const before = fake.requests.length;
+
+    const product = await client.fetchProduct(3);
+    assert.equal(product.title, "Producto 3");
+    assert.equal(fake.requests.length - before, 8);
+  });
+
+  it("envía el SKU como inventoryItem.sku", async () => {
+    await client.updateVariants(2, [{ id: 20, barcode: "2000000000015", sku: "WATER-P2" }]);
+
+    const sent = fake.requests.at(-1).variables.variants[0];
+    assert.deepEqual(sent, { id: "gid://shopify/ProductVariant/20", barcode: "2000000000015", inventoryItem: { sku: "WATER-P2" } });
+    assert.equal(fake.product(2).variants[0].sku, "WATER-P2");
+  });
+
+  it("barcodeExists busca el código en todas las variantes", async () => {
+    assert.equal(await client.barcodeExists("2000000000008"), true);
+    assert.equal(await client.barcodeExists("2000000000022"), false);
+  });
+
+  it("un token incorrecto da un ShopifyError 401", async () => {
+    const wrong = createShopifyClient({ ...shopifyConfigFromEnv(fake.env), token: "otro" });
+    await assert.rejects(wrong.fetchProduct(1), { name: "ShopifyError", status: 401 });
+  });
+});
+
+describe("shopifyFetch", () => {
+  it("espera antes de llenar el cubo de X-Shopify-Shop-Api-Call-Limit", async () => {
+    mock.method(console, "warn", () => {});
+    const server = http.createServer((req, res) => {
+      res.writeHead(200, { "X-Shopify-Shop-Api-Call-Limit": "37/40" });
+      res.end("{}");
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}/admin/api/2025-01/shop.json`;
+
+    try {
+      await shopifyFetch(url);
+      const started = Date.now();
+      await shopifyFetch(url);
+      // 3 libres de 40 con margen de 4: falta 1 llamada, medio segundo a 2/s
+      assert.ok(Date.now() - started >= 400);
+    } finally {
+      server.close();
+    }
+  });
+});
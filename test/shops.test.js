@@ -0,0 +1,154 @@
+// test/shops.test.js
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it, mock } from "node:test";
+import { shopsFromValues } from "../lib/cli.js";
+import { shopifyConfigFromEnv } from "../lib/config.js";
+import { buildGtin } from "../lib/gtin.js";
+import { loadTagRules } from "../lib/rules.js";
+import { currentShop, loadShops, runWithShop, shopEnv } from "../lib/shops.js";
+import { stateDirFromEnv } from "../lib/store.js";
+import { createProductJobHandler, createProductWebhookHandler } from "../lib/webhook.js";
+import { startFakeShopify } from "./helpers/fake-shopify.js";
+
+const metafields = [
+  { namespace: "custom", key: "dimensions", value: "20' x 10'" },
+  { namespace: "custom", key: "includes", value: "Blower" },
+  { namespace: "custom", key: "warranty", value: "1 year" },
+];
+
+const product = (id) => ({ id, title: `Producto ${id}`, tags: "water-slides", body_html: "", variants: [{ id: id * 10, barcode: "", sku: "" }], metafields });
+
+describe("shopEnv", () => {
+  const base = { SHOPIFY_SHOP: "us.myshopify.com", SHOPIFY_ADMIN_TOKEN: "global", TOKEN_ES: "token-es", SECRET_ES: "s1, s2", STATE_DIR: "/estado" };
+
+  it("pone los ajustes de la tienda sobre el entorno global", () => {
+    const env = shopEnv({ domain: "es.myshopify.com", tokenEnv: "TOKEN_ES", webhookSecretEnv: "SECRET_ES", barcodePrefix: 201, env: { LABEL_CURRENCY: "EUR" } }, base);
+
+    assert.equal(env.SHOPIFY_SHOP, "es.myshopify.com");
+    assert.equal(env.SHOPIFY_ADMIN_TOKEN, "token-es");
+    assert.equal(env.SHOPIFY_WEBHOOK_SECRETS, "s1,s2");
+    assert.equal(env.BARCODE_PREFIX, "201");
+    assert.equal(env.LABEL_CURRENCY, "EUR");
+    assert.equal(stateDirFromEnv(env), path.resolve("/estado", "es.myshopify.com"));
+  });
+
+  it("el token global solo vale para la tienda de SHOPIFY_SHOP", () => {
+    assert.equal(shopEnv({ domain: "us.myshopify.com" }, base).SHOPIFY_ADMIN_TOKEN, "global");
+    assert.equal(shopEnv({ domain: "otra.myshopify.com" }, base).SHOPIFY_ADMIN_TOKEN, undefined);
+  });
+
+  it("una tienda con secreto declarado y vacío es un error, no un webhook sin verificar", () => {
+    const declared = { domain: "es.myshopify.com", webhookSecretEnv: "SHOPIFY_WEBHOOK_SECRET_ES" };
+    assert.throws(() => shopEnv(declared, { ...base, SHOPIFY_WEBHOOK_SECRET: "global" }), /sin secreto de webhook/);
+    assert.throws(() => shopEnv({ domain: "es.myshopify.com", webhookSecrets: [] }, base), /sin secreto de webhook/);
+  });
+});
+
+describe("config/shops.example.json", () => {
+  it("las plantillas y reglas de cada tienda existen y se cargan", () => {
+    const shops = loadShops(path.resolve("config", "shops.example.json"));
+    for (const shop of shops.values()) {
+      assert.ok(fs.existsSync(path.resolve(shop.templatesDir)), shop.templatesDir);
+      assert.ok(loadTagRules(path.resolve(shop.tagRulesPath)).length > 0, shop.tagRulesPath);
+    }
+  });
+});
+
+describe("varias tiendas", () => {
+  const SECRETS = { us: "secreto-us", es: "secreto-es" };
+  let us;
+  let es;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+
+    us = await startFakeShopify({ shop: "tienda-us.myshopify.com", token: "token-us", products: [product(1)] });
+    es = await startFakeShopify({ shop: "tienda-es.myshopify.com", token: "token-es", products: [product(2)] });
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "shops-"));
+    const registry = {
+      shops: {
+        [us.shop]: { tokenEnv: "TOKEN_US", webhookSecretEnv: "SECRET_US", apiUrl: us.url, barcodePrefix: "200" },
+        [es.shop]: { tokenEnv: "TOKEN_ES", webhookSecretEnv: "SECRET_ES", apiUrl: es.url, barcodePrefix: "201" },
+      },
+    };
+    fs.writeFileSync(path.join(dir, "shops.json"), JSON.stringify(registry));
+
+    Object.assign(process.env, {
+      SHOPS_CONFIG_PATH: path.join(dir, "shops.json"),
+      TOKEN_US: "token-us",
+      TOKEN_ES: "token-es",
+      SECRET_US: SECRETS.us,
+      SECRET_ES: SECRETS.es,
+      WEBHOOK_PROCESSING: "inline",
+      STATE_DIR: dir,
+      RUN_LOG_DIR: path.join(dir, "runs"),
+      BARCODE_REGISTRY_PATH: path.join(dir, "registry.json"),
+    });
+  });
+
+  after(async () => {
+    await us.close();
+    await es.close();
+  });
+
+  it("runWithShop aplica la configuración de la tienda solo dentro", () => {
+    const inside = runWithShop(es.shop, () => [currentShop(), shopifyConfigFromEnv()]);
+
+    assert.deepEqual(inside, [es.shop, { shop: es.shop, token: "token-es", apiVersion: "2025-01", apiUrl: es.url }]);
+    assert.equal(currentShop(), null);
+    assert.throws(() => runWithShop("otra.myshopify.com", () => {}), /Tienda desconocida/);
+  });
+
+  it("el webhook usa el secreto, el token y el prefijo de X-Shopify-Shop-Domain", async () => {
+    const handler = createProductWebhookHandler({ topic: "products/create" });
+    const call = async (event) => (await handler(event, {})).statusCode;
+
+    assert.equal(await call(es.webhookEvent(es.product(2), { secret: SECRETS.us })), 401);
+    assert.equal(await call(es.webhookEvent(es.product(2), { secret: SECRETS.es, shop: "otra.myshopify.com" })), 403);
+    assert.equal(await call(es.webhookEvent(es.product(2), { secret: SECRETS.es })), 200);
+    assert.equal(await call(us.webhookEvent(us.product(1), { secret: SECRETS.us })), 200);
+
+    assert.equal(es.product(2).variants[0].barcode, buildGtin("201", 0));
+    assert.equal(us.product(1).variants[0].barcode, buildGtin("200", 0));
+    // Cada tienda guarda sus entregas en su carpeta de estado
+    assert.ok(fs.existsSync(path.join(process.env.STATE_DIR, es.shop, "webhook-deliveries.json")));
+  });
+
+  it("el webhook responde 500 si falta el secreto de la tienda", async () => {
+    const handler = createProductWebhookHandler({ topic: "products/create" });
+    const secret = process.env.SECRET_ES;
+    delete process.env.SECRET_ES;
+    try {
+      const response = await handler(es.webhookEvent(es.product(2), { secret: "" }), {});
+      assert.equal(response.statusCode, 500);
+      assert.match(JSON.parse(response.body).message, /SECRET_ES está vacía/);
+    } finally {
+      process.env.SECRET_ES = secret;
+    }
+  });
+
+  it("la función de fondo relanza los errores del trabajo para que Netlify reintente", async () => {
+    const handler = createProductJobHandler();
+    const body = JSON.stringify({ shop: es.shop, topic: "products/update", webhookId: null, product: { id: 2 } });
+    const signature = crypto.createHmac("sha256", SECRETS.es).update(body, "utf8").digest("hex");
+
+    es.fail("Product", { message: "Internal error", times: 1 });
+    await assert.rejects(handler({ httpMethod: "POST", headers: { "x-job-signature": signature }, body }, {}), /Internal error/);
+  });
+
+  it("el CLI pide --shop o --all-shops con varias tiendas", () => {
+    const shops = loadShops();
+
+    assert.throws(() => shopsFromValues({}, shops), /usa --shop <dominio> o --all-shops/);
+    assert.deepEqual(shopsFromValues({ "all-shops": true }, shops), [us.shop, es.shop]);
+    assert.deepEqual(shopsFromValues({ shop: es.shop }, shops), [es.shop]);
+    assert.deepEqual(shopsFromValues({}, new Map()), [null]);
+  });
+});
@@ -0,0 +1,73 @@
+// test/sku.test.js
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { DEFAULT_SKU_CONFIG, generateSkus, getExistingSkus, slugify } from "../lib/sku.js";
+
+const product = (variants, extra = {}) => ({
+  id: 1,
+  title: "Tropical Splash",
+  handle: "tropical-splash-water-slide",
+  tags: "water-slides, summer",
+  variants,
+  ...extra,
+});
+
+describe("generateSkus", () => {
+  it("usa tag de categoría, handle y opciones del patrón por defecto", async () => {
+    const skus = await generateSkus(
+      product([
+        { id: 10, sku: "", option1: "Rojo", option2: "Grande" },
+        { id: 11, sku: "", option1: "Azul", option2: "Pequeño" },
+      ]),
+      [10, 11],
+      { config: DEFAULT_SKU_CONFIG }
+    );
+    assert.equal(skus.get(10), "WATER-TROPICAL-SPLASH-WATE-ROJO-GRANDE");
+    assert.equal(skus.get(11), "WATER-TROPICAL-SPLASH-WATE-AZUL-PEQUENO");
+  });
+
+  it("nunca sobrescribe un SKU existente", async () => {
+    const skus = await generateSkus(product([{ id: 10, sku: "MANUAL-1", option1: "Default Title" }]), [10], {
+      config: DEFAULT_SKU_CONFIG,
+    });
+    assert.equal(skus.size, 0);
+  });
+
+  it("avanza {seq} hasta encontrar un SKU libre", async () => {
+    const config = { ...DEFAULT_SKU_CONFIG, pattern: "{handle:8}-{seq:3}" };
+    const existing = getExistingSkus([product([{ id: 99, sku: "tropical-001" }])]);
+    const taken = new Set(["TROPICAL-002"]);
+
+    const skus = await generateSkus(
+      product([
+        { id: 10, sku: "" },
+        { id: 11, sku: " " },
+      ]),
+      [10, 11],
+      { config, existing, isTaken: async (sku) => taken.has(sku) }
+    );
+    assert.deepEqual([...skus.values()], ["TROPICAL-003", "TROPICAL-004"]);
+  });
+
+  it("sin {seq} añade un sufijo y usa la categoría de reserva", async () => {
+    const config = { ...DEFAULT_SKU_CONFIG, pattern: "{category}-{option1}" };
+    const skus = await generateSkus(
+      product(
+        [
+          { id: 10, sku: "", option1: "Único" },
+          { id: 11, sku: "", option1: "único" },
+        ],
+        { tags: "" }
+      ),
+      [10, 11],
+      { config }
+    );
+    assert.deepEqual([...skus.values()], ["GEN-UNICO", "GEN-UNICO-2"]);
+  });
+});
+
+describe("slugify", () => {
+  it("quita acentos y separadores sobrantes", () => {
+    assert.equal(slugify("  Castillo Niño / XL  "), "castillo-nino-xl");
+  });
+});
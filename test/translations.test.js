@@ -0,0 +1,129 @@
+// test/translations.test.js
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, before, beforeEach, describe, it, mock } from "node:test";
+import { shopifyConfigFromEnv } from "../lib/config.js";
+import { renderDescription } from "../lib/description.js";
+import { processProduct } from "../lib/process-product.js";
+import { rollbackProducts } from "../lib/rollback.js";
+import { matchCategory } from "../lib/rules.js";
+import { createShopifyClient } from "../lib/shopify.js";
+import { createMemoryStore } from "../lib/store.js";
+import { translateDescription } from "../lib/translations.js";
+import { updateProducts } from "../lib/updater.js";
+import { startFakeShopify } from "./helpers/fake-shopify.js";
+
+const metafields = [
+  { namespace: "custom", key: "dimensions", value: "30' L x 12' W" },
+  { namespace: "custom", key: "includes", value: "Blower" },
+  { namespace: "custom", key: "warranty", value: "3 years" },
+];
+
+const slide = () => ({
+  id: 1,
+  title: "Tropical Splash",
+  tags: "water-slides",
+  body_html: "<p>Hand written</p>",
+  variants: [{ id: 10, barcode: "2000000000008", sku: "TS-1" }],
+  metafields,
+});
+
+describe("plantillas por idioma", () => {
+  it("usan la carpeta del idioma y la etiqueta traducida de la regla", () => {
+    const product = slide();
+    const html = renderDescription(product, { metafields, category: matchCategory(product), locale: "es-MX" });
+
+    assert.match(html, /Con cualquier tobogán acuático inflable/);
+    assert.match(html, /<strong>Garantía:<\/strong> 3 years/);
+    assert.doesNotMatch(html, /Take Your Business/);
+  });
+
+  it("un idioma sin carpeta es un error", () => {
+    const product = slide();
+    assert.throws(() => renderDescription(product, { category: matchCategory(product), locale: "fr" }), /No hay plantillas para el idioma "fr"/);
+  });
+});
+
+describe("traducción de la descripción", () => {
+  let fake;
+  let client;
+
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+  });
+
+  beforeEach(async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "translations-"));
+    Object.assign(process.env, { STATE_DIR: dir, BARCODE_REGISTRY_PATH: path.join(dir, "registry.json") });
+    fake = await startFakeShopify({ products: [slide()], locales: ["en", "es", "fr"] });
+    Object.assign(process.env, fake.env);
+    client = createShopifyClient(shopifyConfigFromEnv(fake.env));
+  });
+
+  afterEach(() => fake.close());
+
+  const run = () =>
+    processProduct(fake.product(1), { client, metafieldAttempts: 1, pending: createMemoryStore(), markers: createMemoryStore() });
+
+  it("el webhook registra el bloque en español sin tocar el original", async () => {
+    const result = await run();
+
+    assert.deepEqual(result.translations, ["es"]);
+    assert.match(fake.product(1).body_html, /Take Your Business/);
+    const spanish = fake.translation(1, "es");
+    assert.match(spanish, /^<p>Hand written<\/p>/);
+    assert.match(spanish, /El Tropical Splash de Tago's Jump Inc\. es ideal/);
+    assert.doesNotMatch(spanish, /Take Your Business/);
+    assert.equal(fake.translation(1, "fr"), null);
+
+    // La segunda vez ya está al día
+    const again = await run();
+    assert.equal(again.changes, false);
+    assert.equal(fake.operations().filter((op) => op === "TranslationsRegister").length, 1);
+  });
+
+  it("respeta el texto traducido a mano y no registra nada en simulación", async () => {
+    await run();
+    const digest = (await client.fetchTranslations(1, "es")).body_html.digest;
+    const spanish = fake.translation(1, "es").replace("<p>Hand written</p>", "<p>Escrito a mano</p>");
+    await client.registerTranslations(1, [{ locale: "es", key: "body_html", value: spanish, digest }]);
+
+    // Cambia un metacampo: hay que regenerar el bloque
+    const product = fake.product(1);
+    const warranty = [...metafields.slice(0, 2), { namespace: "custom", key: "warranty", value: "5 years" }];
+    const options = { html: product.body_html, metafields: warranty, category: matchCategory(product), locales: ["es"] };
+    const simulated = await translateDescription(client, product, { ...options, dryRun: true });
+    assert.equal(simulated.length, 1);
+    assert.equal(fake.translation(1, "es"), spanish);
+
+    await translateDescription(client, product, options);
+    assert.match(fake.translation(1, "es"), /^<p>Escrito a mano<\/p>/);
+    assert.match(fake.translation(1, "es"), /<strong>Garantía:<\/strong> 5 years/);
+  });
+
+  it("rollback restaura las traducciones de la instantánea", async () => {
+    await updateProducts({ descriptions: true, barcodes: false });
+    assert.match(fake.translation(1, "es"), /El Tropical Splash/);
+
+    // Sin traducción previa: se borra
+    await rollbackProducts();
+    assert.equal(fake.product(1).body_html, "<p>Hand written</p>");
+    assert.equal(fake.translation(1, "es"), null);
+
+    // Solo cambia la traducción: también se guarda y se restaura
+    await updateProducts({ descriptions: true, barcodes: false });
+    const digest = (await client.fetchTranslations(1, "es")).body_html.digest;
+    await client.registerTranslations(1, [{ locale: "es", key: "body_html", value: "<p>Escrito a mano</p>", digest }]);
+    const translated = await updateProducts({ descriptions: true, barcodes: false });
+    assert.equal(translated.updated, 1);
+    assert.match(fake.translation(1, "es"), /^<p>Escrito a mano<\/p>/);
+    assert.match(fake.translation(1, "es"), /El Tropical Splash/);
+
+    const restored = await rollbackProducts({ snapshot: translated.snapshot });
+    assert.equal(restored.restored, 1);
+    assert.equal(fake.translation(1, "es"), "<p>Escrito a mano</p>");
+  });
+});
@@ -0,0 +1,56 @@
+// test/updater.test.js
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it, mock } from "node:test";
+import { updateProducts } from "../lib/updater.js";
+import { startFakeShopify } from "./helpers/fake-shopify.js";
+
+describe("updateProducts", () => {
+  let fake;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+
+    fake = await startFakeShopify({
+      products: [{ id: 1, title: "Sin código", tags: "otros", body_html: "", variants: [{ id: 10, barcode: "", sku: "SC-1" }] }],
+    });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "updater-"));
+    Object.assign(process.env, fake.env, { STATE_DIR: dir, BARCODE_REGISTRY_PATH: path.join(dir, "registry.json") });
+  });
+
+  after(() => fake.close());
+
+  it("un fallo al asignar códigos cuenta como error y --resume lo reintenta", async () => {
+    // Registro ilegible (como uno bloqueado por otro proceso): falla la asignación
+    fs.writeFileSync(process.env.BARCODE_REGISTRY_PATH, "{");
+    const first = await updateProducts({ descriptions: false, barcodes: true });
+    assert.equal(first.failed, 1);
+    assert.equal(first.barcodesGenerated, 0);
+    assert.equal(fake.product(1).variants[0].barcode, "");
+
+    fs.rmSync(process.env.BARCODE_REGISTRY_PATH);
+    const resumed = await updateProducts({ descriptions: false, barcodes: true, resume: true });
+    assert.equal(resumed.updated, 1);
+    assert.equal(fake.product(1).variants[0].barcode, "2000000000008");
+  });
+
+  it("--resume con otra selección se rechaza sin tocar nada", async () => {
+    fs.writeFileSync(process.env.BARCODE_REGISTRY_PATH, "{");
+    fake.product(1).variants[0].barcode = "";
+    const first = await updateProducts({ descriptions: false, barcodes: true, filters: { tags: ["otros"] } });
+    assert.equal(first.failed, 1);
+    fs.rmSync(process.env.BARCODE_REGISTRY_PATH);
+
+    const other = await updateProducts({ descriptions: false, barcodes: true, filters: { tags: ["water-slides"] }, resume: true });
+    assert.equal(other.resumeMismatch, true);
+    assert.match(other.error, /otra selección/);
+    assert.equal(fake.product(1).variants[0].barcode, "");
+
+    const same = await updateProducts({ descriptions: false, barcodes: true, filters: { tags: ["otros"] }, resume: true });
+    assert.equal(same.updated, 1);
+  });
+});
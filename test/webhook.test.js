@@ -0,0 +1,146 @@
+// test/webhook.test.js
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it, mock } from "node:test";
+import { createProductJobHandler, createProductWebhookHandler } from "../lib/webhook.js";
+import { startFakeShopify } from "./helpers/fake-shopify.js";
+
+const SECRET = "webhook-secret";
+
+const metafields = [
+  { namespace: "custom", key: "dimensions", value: "20' x 10'" },
+  { namespace: "custom", key: "includes", value: "Blower" },
+  { namespace: "custom", key: "warranty", value: "1 year" },
+];
+
+const product = (id, variants) => ({ id, title: `Producto ${id}`, handle: `producto-${id}`, tags: "water-slides", body_html: "", variants, metafields });
+
+describe("handler de webhooks de productos", () => {
+  let fake;
+  const handler = createProductWebhookHandler({ topic: "products/create" });
+  const call = async (event) => {
+    const response = await handler(event, {});
+    return { status: response.statusCode, body: JSON.parse(response.body) };
+  };
+  // Líneas del registro de webhooks (un archivo por día)
+  const runLines = () =>
+    fs
+      .readdirSync(process.env.RUN_LOG_DIR)
+      .flatMap((name) => fs.readFileSync(path.join(process.env.RUN_LOG_DIR, name), "utf8").split("\n").filter(Boolean))
+      .map((line) => JSON.parse(line));
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+
+    fake = await startFakeShopify({
+      products: [product(1, [{ id: 10, title: "Default Title", price: "0.00", barcode: "", sku: "" }]), product(2, [{ id: 20, barcode: "2000000000992", sku: "P2" }])],
+    });
+    const state = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-"));
+    Object.assign(process.env, fake.env, {
+      SHOPIFY_WEBHOOK_SECRET: SECRET,
+      WEBHOOK_PROCESSING: "inline",
+      STATE_DIR: state,
+      RUN_LOG_DIR: path.join(state, "runs"),
+      BARCODE_REGISTRY_PATH: path.join(state, "registry.json"),
+    });
+  });
+
+  after(() => fake.close());
+
+  it("405 si no es POST", async () => {
+    const { status } = await call(fake.webhookEvent(fake.product(1), { secret: SECRET, method: "GET" }));
+    assert.equal(status, 405);
+  });
+
+  it("401 con firma incorrecta o sin firma", async () => {
+    const wrong = await call(fake.webhookEvent(fake.product(1), { secret: "otro-secreto" }));
+    const missing = await call(fake.webhookEvent(fake.product(1), { secret: SECRET, hmac: null }));
+    assert.equal(wrong.status, 401);
+    assert.equal(missing.status, 401);
+    assert.deepEqual(fake.requests, []);
+
+    const rejected = runLines().filter((line) => line.type === "end" && line.totals.rejected === 401);
+    assert.equal(rejected.length, 2);
+    assert.ok(rejected.every((line) => line.totals.reason));
+  });
+
+  it("403 si la tienda no está autorizada", async () => {
+    const { status } = await call(fake.webhookEvent(fake.product(1), { secret: SECRET, shop: "otra.myshopify.com" }));
+    assert.equal(status, 403);
+  });
+
+  it("400 si el producto no tiene id o el cuerpo no es JSON", async () => {
+    const { status } = await call(fake.webhookEvent({ title: "Sin id" }, { secret: SECRET }));
+    assert.equal(status, 400);
+    // Bien firmado pero sin JSON válido
+    const invalid = await call(fake.webhookEvent(null, { secret: SECRET, body: "{no es json" }));
+    assert.equal(invalid.status, 400);
+    assert.ok(runLines().some((line) => line.type === "end" && line.totals.rejected === 400));
+  });
+
+  it("500 si falla el procesamiento", async () => {
+    fake.fail("ProductUpdate", { message: "Internal error", times: 1 });
+    const { status, body } = await call(fake.webhookEvent(fake.product(2), { secret: SECRET }));
+    assert.equal(status, 500);
+    assert.match(body.message, /Internal error/);
+  });
+
+  it("200 procesa en línea y escribe código, SKU y descripción", async () => {
+    const event = fake.webhookEvent(fake.product(1), { secret: SECRET, webhookId: "entrega-1" });
+    const { status, body } = await call(event);
+
+    assert.equal(status, 200);
+    assert.equal(body.barcodesGenerated, 1);
+    assert.equal(body.skusGenerated, 1);
+    assert.equal(body.descriptionAdded, true);
+    assert.equal(fake.product(1).variants[0].barcode, "2000000000008");
+    assert.match(fake.product(1).body_html, /Producto 1/);
+
+    // Shopify reintenta la misma entrega: no se vuelve a procesar
+    const again = await call(event);
+    assert.equal(again.body.duplicate, true);
+
+    // El products/update de nuestra propia escritura se ignora
+    const update = createProductWebhookHandler({ topic: "products/update", ignoreOwnUpdates: true });
+    const echo = await update(fake.webhookEvent(fake.product(1), { secret: SECRET, topic: "products/update" }), {});
+    assert.equal(JSON.parse(echo.body).ignored, true);
+
+    const discarded = runLines().filter((line) => line.type === "product" && line.productId === 1).map((line) => line.action);
+    assert.deepEqual(discarded.slice(-2), ["duplicate", "ignored"]);
+  });
+
+  it("un payload atrasado no pisa lo editado después en Shopify", async () => {
+    const stale = fake.webhookEvent(structuredClone(fake.product(2)), { secret: SECRET, webhookId: "entrega-atrasada" });
+    fake.product(2).body_html = "<p>Editado en el admin</p>";
+
+    const { status } = await call(stale);
+    assert.equal(status, 200);
+    assert.match(fake.product(2).body_html, /^<p>Editado en el admin<\/p>/);
+  });
+
+  it("sin secreto no se firman ni se aceptan trabajos de fondo", async () => {
+    const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+    delete process.env.SHOPIFY_WEBHOOK_SECRET;
+    Object.assign(process.env, { WEBHOOK_PROCESSING: "", WEBHOOK_BACKGROUND_URL: "http://127.0.0.1:9/no-debe-llamarse" });
+    try {
+      // Se procesa en línea en lugar de encolar un trabajo sin firma válida
+      const { status, body } = await call(fake.webhookEvent(fake.product(2), {}));
+      assert.equal(status, 200);
+      assert.equal(body.queued, undefined);
+
+      // Un trabajo firmado con la clave vacía se rechaza
+      const job = JSON.stringify({ topic: "products/update", webhookId: null, product: { id: 2 } });
+      const forged = crypto.createHmac("sha256", "").update(job, "utf8").digest("hex");
+      const response = await createProductJobHandler()({ httpMethod: "POST", headers: { "x-job-signature": forged }, body: job }, {});
+      assert.equal(response.statusCode, 500);
+    } finally {
+      Object.assign(process.env, { SHOPIFY_WEBHOOK_SECRET: secret, WEBHOOK_PROCESSING: "inline" });
+      delete process.env.WEBHOOK_BACKGROUND_URL;
+    }
+  });
+});